@@ -1,17 +1,32 @@
+import EventLite from 'event-lite'
 import {
     PLATFORM_ID,
+    PLATFORM_GROUP,
     MODULE_NAME,
     EVENT_NAME,
     INTERSTITIAL_STATE,
     REWARDED_STATE,
+    ADVERTISEMENT_RESULT_REASON,
     BANNER_STATE,
     STORAGE_TYPE,
     VISIBILITY_STATE,
+    PAUSE_STATE,
+    AUDIO_STATE,
     DEVICE_TYPE,
     PLATFORM_MESSAGE,
+    DETECTION_RULE_TYPE,
+    DETECTION_SOURCE,
+    REQUEST_POLICY,
+    LOG_LEVEL,
+    ACTION_NAME,
     ERROR,
+    ERROR_CODE,
 } from './constants'
 import PromiseDecorator from './common/PromiseDecorator'
+import BridgeError from './common/BridgeError'
+import PlatformDetector from './common/PlatformDetector'
+import Logger from './common/Logger'
+import CommandInterface from './common/CommandInterface'
 import PlatformModule from './modules/PlatformModule'
 import PlayerModule from './modules/PlayerModule'
 import GameModule from './modules/GameModule'
@@ -25,19 +40,34 @@ import RemoteConfigModule from './modules/RemoteConfigModule'
 import ClipboardModule from './modules/ClipboardModule'
 
 import PlatformBridgeBase from './platform-bridges/PlatformBridgeBase'
-import VkPlatformBridge from './platform-bridges/VkPlatformBridge'
-import YandexPlatformBridge from './platform-bridges/YandexPlatformBridge'
-import CrazyGamesPlatformBridge from './platform-bridges/CrazyGamesPlatformBridge'
-import AbsoluteGamesPlatformBridge from './platform-bridges/AbsoluteGamesPlatformBridge'
-import GameDistributionPlatformBridge from './platform-bridges/GameDistributionPlatformBridge'
-import VkPlayPlatformBridge from './platform-bridges/VkPlayPlatformBridge'
-import OkPlatformBridge from './platform-bridges/OkPlatformBridge'
-import PlaygamaPlatformBridge from './platform-bridges/PlaygamaPlatformBridge'
-import PlayDeckPlatformBridge from './platform-bridges/PlayDeckPlatformBridge'
-import WortalPlatformBridge from './platform-bridges/WortalPlatformBridge'
-import TelegramPlatformBridge from './platform-bridges/TelegramPlatformBridge'
 import packageJson from '../package.json';
 
+// Built with VITE_IGB_DEBUG_OVERLAY=false the overlay chunk is left out of the build entirely
+const DEBUG_OVERLAY_LOADER = import.meta.env.VITE_IGB_DEBUG_OVERLAY !== 'false'
+    ? () => import('./common/DebugOverlay')
+    : null
+const DEBUG_OVERLAY_GESTURE_TAPS = 4
+const DEBUG_OVERLAY_GESTURE_TIME = 2000
+const DEBUG_OVERLAY_GESTURE_AREA = 60
+const MAX_RECENT_EVENTS = 50
+
+// Only the detected bridge is downloaded. To ship a bridge inside the main bundle
+// import it statically and pass it to registerPlatform with the built-in platform id.
+const PLATFORM_BRIDGE_LOADERS = {
+    [PLATFORM_ID.VK]: () => import('./platform-bridges/VkPlatformBridge'),
+    [PLATFORM_ID.VK_PLAY]: () => import('./platform-bridges/VkPlayPlatformBridge'),
+    [PLATFORM_ID.OK]: () => import('./platform-bridges/OkPlatformBridge'),
+    [PLATFORM_ID.YANDEX]: () => import('./platform-bridges/YandexPlatformBridge'),
+    [PLATFORM_ID.CRAZY_GAMES]: () => import('./platform-bridges/CrazyGamesPlatformBridge'),
+    [PLATFORM_ID.ABSOLUTE_GAMES]: () => import('./platform-bridges/AbsoluteGamesPlatformBridge'),
+    [PLATFORM_ID.GAME_DISTRIBUTION]: () => import('./platform-bridges/GameDistributionPlatformBridge'),
+    [PLATFORM_ID.PLAYGAMA]: () => import('./platform-bridges/PlaygamaPlatformBridge'),
+    [PLATFORM_ID.WORTAL]: () => import('./platform-bridges/WortalPlatformBridge'),
+    [PLATFORM_ID.PLAYDECK]: () => import('./platform-bridges/PlayDeckPlatformBridge'),
+    [PLATFORM_ID.TELEGRAM]: () => import('./platform-bridges/TelegramPlatformBridge'),
+    [PLATFORM_ID.MOCK]: () => import('./platform-bridges/MockPlatformBridge'),
+}
+
 class InstantGamesBridge {
     get version() {
         return packageJson.version
@@ -47,6 +77,15 @@ class InstantGamesBridge {
         return this.#isInitialized
     }
 
+    get capabilities() {
+        const platform = this.#getModule(MODULE_NAME.PLATFORM)
+        return platform ? platform.capabilities : null
+    }
+
+    get initializationError() {
+        return this.#initializationError
+    }
+
     get platform() {
         return this.#getModule(MODULE_NAME.PLATFORM)
     }
@@ -95,6 +134,18 @@ class InstantGamesBridge {
         return PLATFORM_ID
     }
 
+    get PLATFORM_GROUP() {
+        return PLATFORM_GROUP
+    }
+
+    get ERROR_CODE() {
+        return ERROR_CODE
+    }
+
+    get BridgeError() {
+        return BridgeError
+    }
+
     get PLATFORM_MESSAGE() {
         return PLATFORM_MESSAGE
     }
@@ -115,6 +166,10 @@ class InstantGamesBridge {
         return REWARDED_STATE
     }
 
+    get ADVERTISEMENT_RESULT_REASON() {
+        return ADVERTISEMENT_RESULT_REASON
+    }
+
     get BANNER_STATE() {
         return BANNER_STATE
     }
@@ -127,35 +182,253 @@ class InstantGamesBridge {
         return VISIBILITY_STATE
     }
 
+    get PAUSE_STATE() {
+        return PAUSE_STATE
+    }
+
+    get AUDIO_STATE() {
+        return AUDIO_STATE
+    }
+
     get DEVICE_TYPE() {
         return DEVICE_TYPE
     }
 
+    get DETECTION_RULE_TYPE() {
+        return DETECTION_RULE_TYPE
+    }
+
+    get LOG_LEVEL() {
+        return LOG_LEVEL
+    }
+
+    get logger() {
+        return this.#logger
+    }
+
+    get REQUEST_POLICY() {
+        return REQUEST_POLICY
+    }
+
+    get PlatformBridgeBase() {
+        return PlatformBridgeBase
+    }
+
     #isInitialized = false
 
     #initializationPromiseDecorator = null
 
     #platformBridge = null
 
+    #detectionReport = null
+
     #modules = {}
 
+    #registeredPlatforms = {}
+
+    #middlewares = []
+
+    #logger = new Logger()
+
+    #initializationError = null
+
+    #initializationTimings = null
+
+    #recentEvents = []
+
+    #debugOverlay = null
+
+    #commandInterface = new CommandInterface(this, (moduleName) => this.#modules[moduleName])
+
+    #debugOverlayGestureTaps = []
+
+    #debugOverlayGestureListener = null
+
+    registerPlatform(id, platformBridge, detector) {
+        if (this.#isInitialized || this.#initializationPromiseDecorator) {
+            console.error(ERROR.PLATFORM_REGISTRATION_AFTER_INITIALIZATION)
+            return false
+        }
+
+        if (typeof id !== 'string' || id === '') {
+            console.error(ERROR.PLATFORM_ID_IS_INVALID)
+            return false
+        }
+
+        if (typeof platformBridge !== 'function' || !(platformBridge.prototype instanceof PlatformBridgeBase)) {
+            console.error(ERROR.PLATFORM_BRIDGE_IS_INVALID)
+            return false
+        }
+
+        const platformId = id.toLowerCase()
+        const detectionRules = this.#createDetectionRules(platformId, detector)
+        if (!detectionRules) {
+            console.error(ERROR.PLATFORM_DETECTOR_IS_INVALID)
+            return false
+        }
+
+        this.#registeredPlatforms[platformId] = {
+            platformBridge,
+            detectionRules,
+        }
+
+        return true
+    }
+
+    // Middleware is called as middleware(context, next) around every public module method,
+    // it may change context.args or context.options, or return without calling next
+    use(middleware) {
+        if (typeof middleware !== 'function') {
+            console.error(ERROR.MIDDLEWARE_IS_INVALID)
+            return false
+        }
+
+        this.#middlewares.push(middleware)
+        return true
+    }
+
+    // Registered platforms, middlewares and the logger survive, so initialize can be called again right away
+    destroy() {
+        return this.#teardown()
+            .then(() => {
+                this.off()
+                this.#commandInterface = new CommandInterface(this, (moduleName) => this.#modules[moduleName])
+            })
+    }
+
+    // Options of the previous initialization are reused, the given ones are merged on top,
+    // listeners of the bridge itself are kept, so games don't have to subscribe again
+    switchPlatform(platformId, options) {
+        if (typeof platformId !== 'string' || platformId === '') {
+            return Promise.reject(new BridgeError(ERROR.PLATFORM_ID_IS_INVALID, { actionName: ACTION_NAME.INITIALIZE }))
+        }
+
+        const initializeOptions = {
+            ...this._options,
+            ...options,
+            forciblySetPlatformId: platformId,
+        }
+
+        return this.#teardown()
+            .then(() => this.initialize(initializeOptions))
+    }
+
+    command(command, callback) {
+        return this.#commandInterface.execute(command, callback)
+    }
+
+    getDiagnostics() {
+        const platformBridge = this.#platformBridge
+        const timings = this.#initializationTimings
+        const initializationError = this.#initializationError
+
+        let initialization = null
+        if (timings) {
+            initialization = {
+                ...timings,
+                durationMs: timings.finishedAt ? timings.finishedAt - timings.startedAt : null,
+                error: initializationError instanceof BridgeError
+                    ? initializationError.toJSON()
+                    : initializationError && { message: String(initializationError.message || initializationError) },
+            }
+        }
+
+        // Query params are left out, some platforms pass signed launch params there,
+        // the detection report already leaves them out of its own urls
+        const url = new URL(window.location.href)
+        const pageUrl = `${url.origin}${url.pathname}`
+        const { screen } = window
+        const detectionReport = platformBridge ? platformBridge.detectionReport : this.#detectionReport
+
+        return {
+            createdAt: new Date().toISOString(),
+            version: this.version,
+            isInitialized: this.#isInitialized,
+            platform: {
+                id: platformBridge ? platformBridge.platformId : null,
+                language: platformBridge ? platformBridge.platformLanguage : null,
+                detectionReport,
+            },
+            device: {
+                type: platformBridge ? platformBridge.deviceType : null,
+                userAgent: navigator.userAgent,
+                language: navigator.language,
+                screen: screen ? { width: screen.width, height: screen.height } : null,
+                devicePixelRatio: window.devicePixelRatio || null,
+                url: pageUrl,
+            },
+            capabilities: platformBridge ? platformBridge.capabilities : null,
+            initialization,
+            loadedScripts: platformBridge ? platformBridge.loadedScripts : [],
+            pendingRequests: platformBridge ? platformBridge.pendingRequests : [],
+            recentErrors: platformBridge ? platformBridge.recentErrors : [],
+            recentEvents: this.#recentEvents.map((event) => ({ ...event })),
+        }
+    }
+
+    copyDiagnostics(callOptions) {
+        if (!this.#isInitialized) {
+            return Promise.reject(new BridgeError(ERROR.SDK_NOT_INITIALIZED))
+        }
+
+        return this.clipboard.write(JSON.stringify(this.getDiagnostics(), null, 2), callOptions)
+    }
+
+    toggleDebugOverlay() {
+        if (!DEBUG_OVERLAY_LOADER) {
+            return Promise.resolve(false)
+        }
+
+        return this.#loadDebugOverlay()
+            .then((debugOverlay) => {
+                debugOverlay.toggle()
+                return debugOverlay.isVisible
+            })
+    }
+
     initialize(options) {
         if (this.#isInitialized) {
             return Promise.resolve()
         }
 
         if (!this.#initializationPromiseDecorator) {
-            this.#initializationPromiseDecorator = new PromiseDecorator()
+            const initializationPromiseDecorator = new PromiseDecorator()
+            const throwIfCancelled = () => {
+                if (this.#initializationPromiseDecorator !== initializationPromiseDecorator) {
+                    throw new BridgeError(ERROR.BRIDGE_DESTROYED, { actionName: ACTION_NAME.INITIALIZE })
+                }
+            }
+
+            this.#initializationPromiseDecorator = initializationPromiseDecorator
             this._options = { ...options }
-            this.#createPlatformBridge()
-            this.#platformBridge
-                .initialize()
+            this.#initializationError = null
+            this.#initializationTimings = { startedAt: Date.now(), platformBridgeLoadedAt: null, finishedAt: null }
+            this.#configureLogger()
+            this.#configureDebugOverlay()
+            this.#createPlatformBridge(throwIfCancelled)
+                .then(() => this.#initializePlatformBridge())
+                .catch((error) => {
+                    throwIfCancelled()
+                    if (!this._options.fallbackToMock) {
+                        throw error
+                    }
+
+                    this.#logger.error('bridge', 'Initialization failed, falling back to mock', error)
+                    this.#initializationError = error
+                    return this.#createFallbackPlatformBridge(error, throwIfCancelled)
+                        .then(() => this.#initializePlatformBridge())
+                })
                 .then(() => {
+                    throwIfCancelled()
                     this.#modules[MODULE_NAME.PLATFORM] = new PlatformModule(this.#platformBridge)
                     this.#modules[MODULE_NAME.PLAYER] = new PlayerModule(this.#platformBridge)
-                    this.#modules[MODULE_NAME.GAME] = new GameModule(this.#platformBridge)
+                    this.#modules[MODULE_NAME.GAME] = new GameModule(
+                        this.#platformBridge,
+                        this._options.game,
+                        this.#modules[MODULE_NAME.PLATFORM],
+                    )
                     this.#modules[MODULE_NAME.STORAGE] = new StorageModule(this.#platformBridge)
-                    this.#modules[MODULE_NAME.ADVERTISEMENT] = new AdvertisementModule(this.#platformBridge)
+                    this.#modules[MODULE_NAME.ADVERTISEMENT] = new AdvertisementModule(this.#platformBridge, this._options.advertisement)
                     this.#modules[MODULE_NAME.SOCIAL] = new SocialModule(this.#platformBridge)
                     this.#modules[MODULE_NAME.DEVICE] = new DeviceModule(this.#platformBridge)
                     this.#modules[MODULE_NAME.LEADERBOARD] = new LeaderboardModule(this.#platformBridge)
@@ -163,131 +436,334 @@ class InstantGamesBridge {
                     this.#modules[MODULE_NAME.REMOTE_CONFIG] = new RemoteConfigModule(this.#platformBridge)
                     this.#modules[MODULE_NAME.CLIPBOARD] = new ClipboardModule(this.#platformBridge)
 
+                    Object.keys(this.#modules).forEach((moduleName) => {
+                        this.#modules[moduleName]._setEventBusListener(
+                            (eventName, data) => this.#emitModuleEvent(moduleName, eventName, data),
+                        )
+                        this.#modules[moduleName]._setMiddlewares(moduleName, this.#middlewares)
+                    })
+
+                    this.#platformBridge._refreshCapabilities()
+                    this.#initializationTimings.finishedAt = Date.now()
                     this.#isInitialized = true
                     console.info(`%c InstantGamesBridge v.${this.version} initialized. `, 'background: #01A5DA; color: white')
 
-                    if (this.#initializationPromiseDecorator) {
-                        this.#initializationPromiseDecorator.resolve()
-                        this.#initializationPromiseDecorator = null
+                    this.#initializationPromiseDecorator = null
+                    initializationPromiseDecorator.resolve()
+                })
+                .catch((error) => {
+                    // A cancelled initialization was already rejected by destroy
+                    if (this.#initializationPromiseDecorator !== initializationPromiseDecorator) {
+                        return
                     }
+
+                    this.#initializationError = error
+                    this.#initializationTimings.finishedAt = Date.now()
+                    this.#initializationPromiseDecorator = null
+                    initializationPromiseDecorator.reject(error)
                 })
+
+            return initializationPromiseDecorator.promise
         }
 
         return this.#initializationPromiseDecorator.promise
     }
 
-    #createPlatformBridge() {
-        let platformId = PLATFORM_ID.MOCK
-
-        if (this._options && this._options.forciblySetPlatformId) {
-            platformId = this.#getPlatformId(this._options.forciblySetPlatformId.toLowerCase())
-        } else {
-            const url = new URL(window.location.href)
-            const yandexUrl = ['y', 'a', 'n', 'd', 'e', 'x', '.', 'n', 'e', 't'].join('')
-            if (url.searchParams.has('platform_id')) {
-                platformId = this.#getPlatformId(url.searchParams.get('platform_id').toLowerCase())
-            } else if (url.hostname.includes(yandexUrl) || url.hash.includes('yandex')) {
-                platformId = PLATFORM_ID.YANDEX
-            } else if (url.hostname.includes('crazygames.') || url.hostname.includes('1001juegos.com')) {
-                platformId = PLATFORM_ID.CRAZY_GAMES
-            } else if (url.hostname.includes('gamedistribution.com')) {
-                platformId = PLATFORM_ID.GAME_DISTRIBUTION
-            } else if (url.hostname.includes('wortal.ai')) {
-                platformId = PLATFORM_ID.WORTAL
-            } else if (url.searchParams.has('api_id') && url.searchParams.has('viewer_id') && url.searchParams.has('auth_key')) {
-                platformId = PLATFORM_ID.VK
-            } else if (url.searchParams.has('app_id') && url.searchParams.has('player_id') && url.searchParams.has('game_sid') && url.searchParams.has('auth_key')) {
-                platformId = PLATFORM_ID.ABSOLUTE_GAMES
-            } else if (url.searchParams.has('playdeck')) {
-                platformId = PLATFORM_ID.PLAYDECK
-            } else if (url.hash.includes('tgWebAppData')) {
-                platformId = PLATFORM_ID.TELEGRAM
-            }
+    // An initialization in progress is cancelled rather than awaited, a hung platform SDK can't block it
+    #teardown() {
+        if (this.#initializationPromiseDecorator) {
+            const initializationPromiseDecorator = this.#initializationPromiseDecorator
+            this.#initializationPromiseDecorator = null
+            initializationPromiseDecorator.reject(
+                new BridgeError(ERROR.BRIDGE_DESTROYED, { actionName: ACTION_NAME.INITIALIZE }),
+            )
         }
 
-        switch (platformId) {
-            case PLATFORM_ID.VK: {
-                this.#platformBridge = new VkPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.VK],
-                )
-                break
-            }
-            case PLATFORM_ID.VK_PLAY: {
-                this.#platformBridge = new VkPlayPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.VK_PLAY],
-                )
-                break
-            }
-            case PLATFORM_ID.YANDEX: {
-                this.#platformBridge = new YandexPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.YANDEX],
-                )
-                break
-            }
-            case PLATFORM_ID.CRAZY_GAMES: {
-                this.#platformBridge = new CrazyGamesPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.CRAZY_GAMES],
-                )
-                break
-            }
-            case PLATFORM_ID.ABSOLUTE_GAMES: {
-                this.#platformBridge = new AbsoluteGamesPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.ABSOLUTE_GAMES],
-                )
-                break
-            }
-            case PLATFORM_ID.GAME_DISTRIBUTION: {
-                this.#platformBridge = new GameDistributionPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.GAME_DISTRIBUTION],
-                )
-                break
-            }
-            case PLATFORM_ID.OK: {
-                this.#platformBridge = new OkPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.OK],
-                )
-                break
-            }
-            case PLATFORM_ID.PLAYGAMA: {
-                this.#platformBridge = new PlaygamaPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.PLAYGAMA],
-                )
-                break
-            }
-            case PLATFORM_ID.WORTAL: {
-                this.#platformBridge = new WortalPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.WORTAL],
-                )
-                break
-            }
-            case PLATFORM_ID.PLAYDECK: {
-                this.#platformBridge = new PlayDeckPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.PLAYDECK],
-                )
-                break
-            }
-            case PLATFORM_ID.TELEGRAM: {
-                this.#platformBridge = new TelegramPlatformBridge(
-                    this._options && this._options.platforms && this._options.platforms[PLATFORM_ID.TELEGRAM],
-                )
-                break
-            }
-            default: {
-                this.#platformBridge = new PlatformBridgeBase()
-                break
-            }
+        return Promise.resolve()
+            .then(() => {
+                Object.values(this.#modules).forEach((module) => module._destroy())
+                this.#modules = {}
+
+                if (this.#platformBridge) {
+                    this.#platformBridge.destroy()
+                    this.#platformBridge = null
+                }
+
+                if (this.#debugOverlay) {
+                    this.#debugOverlay.destroy()
+                    this.#debugOverlay = null
+                }
+
+                if (this.#debugOverlayGestureListener) {
+                    window.removeEventListener('pointerdown', this.#debugOverlayGestureListener)
+                    this.#debugOverlayGestureListener = null
+                }
+
+                this.#isInitialized = false
+                this.#initializationError = null
+                this.#initializationTimings = null
+                this.#detectionReport = null
+                this.#recentEvents = []
+                this.#debugOverlayGestureTaps = []
+            })
+    }
+
+    #initializePlatformBridge() {
+        const platformBridge = this.#platformBridge
+        const { platformId } = platformBridge
+
+        const initializePromise = new Promise((resolve, reject) => {
+            platformBridge
+                .initialize()
+                .then(resolve)
+                .catch((error) => {
+                    if (error instanceof BridgeError) {
+                        reject(error)
+                        return
+                    }
+
+                    reject(new BridgeError(ERROR.INITIALIZATION_FAILED, {
+                        actionName: ACTION_NAME.INITIALIZE,
+                        platformId,
+                        platformError: error,
+                    }))
+                })
+        })
+
+        let timeout = this._options && this._options.initializationTimeout
+        if (typeof timeout === 'string') {
+            timeout = parseInt(timeout, 10)
+        }
+
+        if (typeof timeout !== 'number' || Number.isNaN(timeout) || timeout <= 0) {
+            return initializePromise
         }
+
+        let timeoutId
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => {
+                reject(new BridgeError(ERROR.INITIALIZATION_TIMEOUT, {
+                    actionName: ACTION_NAME.INITIALIZE,
+                    platformId,
+                    platformError: { timeout },
+                }))
+            }, timeout)
+        })
+
+        return Promise
+            .race([initializePromise, timeoutPromise])
+            .finally(() => clearTimeout(timeoutId))
     }
 
-    #getPlatformId(value) {
-        const platformIds = Object.values(PLATFORM_ID)
-        for (let i = 0; i < platformIds.length; i++) {
-            if (value === platformIds[i]) {
-                return value
+    // { gesture: true } lets testers open the overlay by tapping the top left corner of the screen
+    #configureDebugOverlay() {
+        if (!DEBUG_OVERLAY_LOADER) {
+            return
+        }
+
+        let overlayOptions = this._options.debugOverlay
+        if (typeof overlayOptions === 'boolean') {
+            overlayOptions = { enabled: overlayOptions }
+        }
+
+        overlayOptions = overlayOptions || {}
+
+        const url = new URL(window.location.href)
+        if (url.searchParams.has('igb_overlay')) {
+            overlayOptions = { ...overlayOptions, enabled: true }
+        }
+
+        if (overlayOptions.gesture && !this.#debugOverlayGestureListener) {
+            this.#debugOverlayGestureListener = (event) => this.#onDebugOverlayGesture(event)
+            window.addEventListener('pointerdown', this.#debugOverlayGestureListener)
+        }
+
+        if (overlayOptions.enabled) {
+            this.#loadDebugOverlay()
+                .then((debugOverlay) => debugOverlay.show())
+                .catch((error) => this.#logger.error('bridge', 'Debug overlay failed to load', error))
+        }
+    }
+
+    #onDebugOverlayGesture(event) {
+        if (event.clientX > DEBUG_OVERLAY_GESTURE_AREA || event.clientY > DEBUG_OVERLAY_GESTURE_AREA) {
+            this.#debugOverlayGestureTaps = []
+            return
+        }
+
+        const now = Date.now()
+        this.#debugOverlayGestureTaps = this.#debugOverlayGestureTaps
+            .filter((time) => now - time < DEBUG_OVERLAY_GESTURE_TIME)
+        this.#debugOverlayGestureTaps.push(now)
+
+        if (this.#debugOverlayGestureTaps.length >= DEBUG_OVERLAY_GESTURE_TAPS) {
+            this.#debugOverlayGestureTaps = []
+            this.toggleDebugOverlay()
+                .catch((error) => this.#logger.error('bridge', 'Debug overlay failed to load', error))
+        }
+    }
+
+    #loadDebugOverlay() {
+        if (this.#debugOverlay) {
+            return Promise.resolve(this.#debugOverlay)
+        }
+
+        return DEBUG_OVERLAY_LOADER()
+            .then((module) => {
+                if (!this.#debugOverlay) {
+                    this.#debugOverlay = new module.default(this)
+                }
+
+                return this.#debugOverlay
+            })
+    }
+
+    // ?igb_debug=trace overrides the configured level, so a live build can be diagnosed without rebuilding
+    #configureLogger() {
+        const loggingOptions = this._options.logging || {}
+        if (loggingOptions.sink && !this.#logger.setSink(loggingOptions.sink)) {
+            console.error(ERROR.LOG_SINK_IS_INVALID)
+        }
+
+        let { level } = loggingOptions
+        const url = new URL(window.location.href)
+        const debugLevel = url.searchParams.get('igb_debug')
+        if (debugLevel !== null) {
+            level = Object.values(LOG_LEVEL).includes(debugLevel) ? debugLevel : LOG_LEVEL.DEBUG
+        }
+
+        if (level && !this.#logger.setLevel(level)) {
+            console.error(ERROR.LOG_LEVEL_IS_INVALID)
+        }
+    }
+
+    // The failed bridge may have left scripts, globals and listeners behind, so it is destroyed first.
+    // The fallback is the base bridge, not the mock one, so ads, payments and auth fail instead of succeeding for free
+    #createFallbackPlatformBridge(error, throwIfCancelled) {
+        if (this.#platformBridge) {
+            this.#platformBridge.destroy()
+            this.#platformBridge = null
+        }
+
+        const detectionReport = {
+            ...this.#detectionReport,
+            platformId: PLATFORM_ID.MOCK,
+            source: DETECTION_SOURCE.FALLBACK,
+            reason: `Initialization of "${error.platformId}" failed: ${error.message}`,
+        }
+
+        return Promise.resolve()
+            .then(() => {
+                throwIfCancelled()
+                this.#setPlatformBridge(PlatformBridgeBase, detectionReport)
+            })
+    }
+
+    #createPlatformBridge(throwIfCancelled) {
+        const registeredPlatformIds = Object.keys(this.#registeredPlatforms)
+        const platformDetector = new PlatformDetector([
+            ...Object.values(PLATFORM_ID),
+            ...registeredPlatformIds,
+        ])
+
+        const registeredRules = []
+        registeredPlatformIds.forEach((id) => {
+            registeredRules.push(...this.#registeredPlatforms[id].detectionRules)
+        })
+
+        const detectionOptions = (this._options && this._options.platformDetection) || {}
+        platformDetector.addRules(
+            [...(detectionOptions.rules || []), ...registeredRules],
+            detectionOptions.disabledRules,
+        )
+
+        const detectionReport = platformDetector.detect(this._options && this._options.forciblySetPlatformId)
+        const { platformId } = detectionReport
+        this.#detectionReport = detectionReport
+        this.#logger.debug('bridge', `Platform detected: ${platformId}`, detectionReport)
+
+        return this.#loadPlatformBridge(platformId)
+            .then((PlatformBridge) => {
+                throwIfCancelled()
+                this.#initializationTimings.platformBridgeLoadedAt = Date.now()
+                this.#setPlatformBridge(PlatformBridge, detectionReport)
+            })
+    }
+
+    #setPlatformBridge(PlatformBridge, detectionReport) {
+        const { platformId } = detectionReport
+        this.#platformBridge = new PlatformBridge(
+            this._options && this._options.platforms && this._options.platforms[platformId],
+        )
+        this.#platformBridge._logger = this.#logger
+        this.#platformBridge._detectionReport = detectionReport
+        this.#platformBridge._scriptLoaderOptions = (this._options && this._options.scriptLoader) || null
+        this.#applyRequestPolicies()
+    }
+
+    #loadPlatformBridge(platformId) {
+        if (this.#registeredPlatforms[platformId]) {
+            return Promise.resolve(this.#registeredPlatforms[platformId].platformBridge)
+        }
+
+        const loader = PLATFORM_BRIDGE_LOADERS[platformId] || PLATFORM_BRIDGE_LOADERS[PLATFORM_ID.MOCK]
+        return loader()
+            .then((module) => module.default)
+            .catch((error) => {
+                throw new BridgeError(ERROR.PLATFORM_BRIDGE_LOAD_FAILED, {
+                    actionName: ACTION_NAME.INITIALIZE,
+                    platformId,
+                    platformError: error,
+                })
+            })
+    }
+
+    #applyRequestPolicies() {
+        const requestPolicies = (this._options && this._options.requestPolicies) || {}
+        Object.keys(requestPolicies).forEach((actionName) => {
+            if (!this.#platformBridge._setRequestPolicy(actionName, requestPolicies[actionName])) {
+                console.error(ERROR.REQUEST_POLICY_IS_INVALID)
             }
+        })
+    }
+
+    #createDetectionRules(platformId, detector) {
+        if (typeof detector === 'undefined' || detector === null) {
+            return []
+        }
+
+        if (typeof detector === 'function') {
+            return [{
+                id: `${platformId}_detector`,
+                platformId,
+                type: DETECTION_RULE_TYPE.CUSTOM,
+                test: (context) => detector(context.url),
+            }]
+        }
+
+        const rules = Array.isArray(detector) ? detector : [detector]
+        if (rules.some((rule) => !rule || typeof rule !== 'object' || typeof rule.type !== 'string')) {
+            return null
+        }
+
+        return rules.map((rule, index) => ({
+            id: `${platformId}_rule_${index}`,
+            ...rule,
+            platformId,
+        }))
+    }
+
+    // Module events are re-emitted as "module:event", wildcard listeners receive the name first
+    #emitModuleEvent(moduleName, eventName, data) {
+        const namespacedEventName = `${moduleName}:${eventName}`
+
+        this.#recentEvents.push({ timestamp: Date.now(), name: namespacedEventName, data })
+        if (this.#recentEvents.length > MAX_RECENT_EVENTS) {
+            this.#recentEvents.shift()
         }
 
-        return PLATFORM_ID.MOCK
+        this.emit(namespacedEventName, data)
+        this.emit(EVENT_NAME.ANY, namespacedEventName, data)
     }
 
     #getModule(id) {
@@ -299,4 +775,5 @@ class InstantGamesBridge {
     }
 }
 
+EventLite.mixin(InstantGamesBridge.prototype)
 export default InstantGamesBridge
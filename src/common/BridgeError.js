@@ -0,0 +1,37 @@
+import { ERROR } from '../constants'
+
+class BridgeError extends Error {
+    code
+
+    actionName
+
+    platformId
+
+    platformError
+
+    constructor(error = ERROR.PLATFORM_ERROR, details = {}) {
+        super(error.message)
+        this.name = 'BridgeError'
+        this.code = error.code
+        this.actionName = details.actionName || null
+        this.platformId = details.platformId || null
+        this.platformError = typeof details.platformError === 'undefined' ? null : details.platformError
+    }
+
+    toJSON() {
+        let { platformError } = this
+        if (platformError instanceof Error) {
+            platformError = { name: platformError.name, message: platformError.message }
+        }
+
+        return {
+            code: this.code,
+            message: this.message,
+            actionName: this.actionName,
+            platformId: this.platformId,
+            platformError,
+        }
+    }
+}
+
+export default BridgeError
@@ -0,0 +1,233 @@
+import BridgeError from './BridgeError'
+import { ERROR, EVENT_NAME, MODULE_NAME } from '../constants'
+
+export const RESPONSE_TYPE = {
+    RESULT: 'result',
+    ERROR: 'error',
+    EVENT: 'event',
+}
+
+const BRIDGE_MODULE_NAME = 'bridge'
+const BRIDGE_METHODS = ['initialize', 'getDiagnostics', 'copyDiagnostics']
+
+// Only these methods and getters are reachable, anything taking listeners or live objects stays out
+const MODULE_COMMANDS = {
+    [MODULE_NAME.PLATFORM]: [
+        'id', 'language', 'payload', 'tld', 'detectionReport', 'capabilities', 'pendingRequests',
+        'loadedScripts', 'recentErrors', 'sendMessage', 'getServerTime',
+    ],
+    [MODULE_NAME.PLAYER]: ['isAuthorizationSupported', 'isAuthorized', 'id', 'name', 'photos', 'authorize'],
+    [MODULE_NAME.GAME]: ['visibilityState', 'pauseState', 'audioState', 'isAutoPauseEnabled', 'disableAutoPause'],
+    [MODULE_NAME.STORAGE]: ['defaultType', 'isSupported', 'isAvailable', 'get', 'set', 'delete'],
+    [MODULE_NAME.ADVERTISEMENT]: [
+        'isBannerSupported', 'bannerState', 'interstitialState', 'rewardedState', 'minimumDelayBetweenInterstitial',
+        'interstitialCooldownLeft', 'setMinimumDelayBetweenInterstitial', 'setPacingPolicy', 'showBanner',
+        'hideBanner', 'showInterstitial', 'showRewarded', 'isInterstitialAvailable', 'preloadInterstitial',
+        'isRewardedAvailable', 'preloadRewarded', 'checkAdBlock',
+    ],
+    [MODULE_NAME.SOCIAL]: [
+        'isInviteFriendsSupported', 'isJoinCommunitySupported', 'isShareSupported', 'isCreatePostSupported',
+        'isAddToHomeScreenSupported', 'isAddToFavoritesSupported', 'isRateSupported', 'isExternalLinksAllowed',
+        'inviteFriends', 'joinCommunity', 'share', 'createPost', 'addToHomeScreen', 'addToFavorites', 'rate',
+    ],
+    [MODULE_NAME.DEVICE]: ['type'],
+    [MODULE_NAME.LEADERBOARD]: [
+        'isSupported', 'isNativePopupSupported', 'isMultipleBoardsSupported', 'isSetScoreSupported',
+        'isGetScoreSupported', 'isGetEntriesSupported', 'setScore', 'getScore', 'getEntries', 'showNativePopup',
+    ],
+    [MODULE_NAME.PAYMENTS]: ['isSupported', 'purchase', 'getPurchases', 'getCatalog', 'consumePurchase'],
+    [MODULE_NAME.REMOTE_CONFIG]: ['isSupported', 'get'],
+    [MODULE_NAME.CLIPBOARD]: ['isSupported', 'read', 'write'],
+}
+
+const hasOwn = function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key)
+}
+
+const serializeError = function serializeError(error) {
+    if (error instanceof BridgeError) {
+        return error.toJSON()
+    }
+
+    return {
+        code: ERROR.PLATFORM_ERROR.code,
+        message: error && error.message ? error.message : String(error),
+    }
+}
+
+// Commands look like { id, module, method, args }, every response is a JSON string
+// { id, type, data | error | event } passed to the callback, so engines need no promise or event glue
+class CommandInterface {
+    #bridge
+
+    #getModule
+
+    #subscriptions = {}
+
+    constructor(bridge, getModule) {
+        this.#bridge = bridge
+        this.#getModule = getModule
+    }
+
+    execute(command, callback) {
+        let parsedCommand = command
+        if (typeof command === 'string') {
+            try {
+                parsedCommand = JSON.parse(command)
+            } catch (e) {
+                parsedCommand = null
+            }
+        }
+
+        const send = this.#createSender(callback)
+        if (!parsedCommand || typeof parsedCommand !== 'object'
+            || typeof parsedCommand.module !== 'string' || typeof parsedCommand.method !== 'string') {
+            return Promise.resolve(
+                this.#respondWithError(send, parsedCommand && parsedCommand.id, new BridgeError(ERROR.COMMAND_IS_INVALID)),
+            )
+        }
+
+        const { id = null, args = [] } = parsedCommand
+        let result
+        try {
+            result = this.#dispatch(id, parsedCommand.module, parsedCommand.method, Array.isArray(args) ? args : [args], send)
+        } catch (error) {
+            return Promise.resolve(this.#respondWithError(send, id, error))
+        }
+
+        return Promise.resolve(result)
+            .then((data) => send({ id, type: RESPONSE_TYPE.RESULT, data: typeof data === 'undefined' ? null : data }))
+            .catch((error) => this.#respondWithError(send, id, error))
+    }
+
+    #dispatch(id, moduleName, methodName, args, send) {
+        if (moduleName === BRIDGE_MODULE_NAME) {
+            return this.#dispatchToBridge(id, methodName, args, send)
+        }
+
+        if (!this.#bridge.isInitialized) {
+            throw new BridgeError(ERROR.SDK_NOT_INITIALIZED)
+        }
+
+        if (!hasOwn(MODULE_COMMANDS, moduleName) || !MODULE_COMMANDS[moduleName].includes(methodName)) {
+            throw new BridgeError(ERROR.COMMAND_NOT_FOUND)
+        }
+
+        // Members are declared by the module class itself, never inherited from a base class or Object
+        const module = this.#getModule(moduleName)
+        if (!module || !hasOwn(Object.getPrototypeOf(module), methodName)) {
+            throw new BridgeError(ERROR.COMMAND_NOT_FOUND)
+        }
+
+        // Plain properties and getters are read, so engines can query state the same way they call methods
+        const member = module[methodName]
+        return typeof member === 'function' ? member.apply(module, args) : member
+    }
+
+    #dispatchToBridge(id, methodName, args, send) {
+        switch (methodName) {
+            case 'on': {
+                const [eventName] = args
+                if (typeof eventName !== 'string' || id === null) {
+                    throw new BridgeError(ERROR.COMMAND_IS_INVALID)
+                }
+
+                this.#unsubscribe(id)
+
+                // Wildcard listeners receive the event name first
+                const isWildcard = eventName === EVENT_NAME.ANY
+                const listener = (...eventArgs) => {
+                    send({
+                        id,
+                        type: RESPONSE_TYPE.EVENT,
+                        event: isWildcard ? eventArgs[0] : eventName,
+                        data: isWildcard ? eventArgs[1] : eventArgs[0],
+                    })
+                }
+
+                this.#subscriptions[id] = { eventName, listener }
+                this.#bridge.on(eventName, listener)
+                return true
+            }
+            case 'off': {
+                const [subscriptionId] = args
+                return this.#unsubscribe(subscriptionId)
+            }
+            default: {
+                if (!BRIDGE_METHODS.includes(methodName)) {
+                    throw new BridgeError(ERROR.COMMAND_NOT_FOUND)
+                }
+
+                return this.#bridge[methodName](...args)
+            }
+        }
+    }
+
+    #unsubscribe(subscriptionId) {
+        const subscription = this.#subscriptions[subscriptionId]
+        if (!subscription) {
+            return false
+        }
+
+        this.#bridge.off(subscription.eventName, subscription.listener)
+        delete this.#subscriptions[subscriptionId]
+        return true
+    }
+
+    #respondWithError(send, id, error) {
+        return send({ id: typeof id === 'undefined' ? null : id, type: RESPONSE_TYPE.ERROR, error: serializeError(error) })
+    }
+
+    #createSender(callback) {
+        return (response) => {
+            let json
+            try {
+                json = JSON.stringify(response)
+            } catch (e) {
+                json = JSON.stringify({
+                    id: response.id,
+                    type: RESPONSE_TYPE.ERROR,
+                    error: serializeError(new BridgeError(ERROR.COMMAND_RESULT_IS_NOT_SERIALIZABLE)),
+                })
+            }
+
+            const callbackFunction = this.#resolveCallback(callback)
+            if (callbackFunction) {
+                try {
+                    callbackFunction(json)
+                } catch (e) {
+                    // Engine side errors must not break the bridge
+                }
+            }
+
+            return json
+        }
+    }
+
+    // Callbacks are functions or global paths like "unityBridge.onResponse"
+    #resolveCallback(callback) {
+        if (typeof callback === 'function') {
+            return callback
+        }
+
+        if (typeof callback !== 'string' || callback === '') {
+            return null
+        }
+
+        let parent = null
+        let current = window
+        const path = callback.split('.')
+        for (let i = 0; i < path.length; i++) {
+            if (!current) {
+                return null
+            }
+
+            parent = current
+            current = current[path[i]]
+        }
+
+        return typeof current === 'function' ? current.bind(parent) : null
+    }
+}
+
+export default CommandInterface
@@ -0,0 +1,197 @@
+import { EVENT_NAME } from '../constants'
+
+const MAX_EVENTS = 100
+const REFRESH_INTERVAL = 1000
+
+const CONTAINER_STYLE = [
+    'position: fixed',
+    'top: 0',
+    'right: 0',
+    'z-index: 2147483647',
+    'width: 320px',
+    'max-width: 100%',
+    'max-height: 100%',
+    'overflow: auto',
+    'box-sizing: border-box',
+    'padding: 8px',
+    'background: rgba(0, 0, 0, 0.8)',
+    'color: #fff',
+    'font: 11px/1.4 monospace',
+    'white-space: pre-wrap',
+    'word-break: break-all',
+].join(';')
+
+const CLOSE_BUTTON_STYLE = [
+    'float: right',
+    'padding: 0 6px',
+    'border: 1px solid #fff',
+    'background: none',
+    'color: #fff',
+    'font: inherit',
+    'cursor: pointer',
+].join(';')
+
+const EVENT_LOG_STYLE = [
+    'max-height: 160px',
+    'overflow: auto',
+    'margin-top: 8px',
+    'border-top: 1px solid #666',
+].join(';')
+
+const stringify = function stringify(value) {
+    if (typeof value === 'undefined') {
+        return ''
+    }
+
+    try {
+        return JSON.stringify(value)
+    } catch (e) {
+        return String(value)
+    }
+}
+
+class DebugOverlay {
+    get isVisible() {
+        return this.#container !== null
+    }
+
+    #bridge
+
+    #container = null
+
+    #stateElement = null
+
+    #eventLogElement = null
+
+    #events = []
+
+    #storageKeys = {}
+
+    #refreshIntervalId = 0
+
+    #isShowPending = false
+
+    // The bridge may be initialized from a script in the head, before there is a body to attach to
+    #onDocumentLoaded = () => {
+        this.#isShowPending = false
+        this.show()
+    }
+
+    #onAnyEvent = (eventName, data) => {
+        if (eventName === `storage:${EVENT_NAME.STORAGE_CHANGED}`) {
+            this.#storageKeys[`${data.key} (${data.storageType})`] = data.actionName
+        }
+
+        this.#events.push(`${new Date().toISOString().substring(11, 23)} ${eventName} ${stringify(data)}`)
+        if (this.#events.length > MAX_EVENTS) {
+            this.#events.shift()
+        }
+
+        if (this.isVisible) {
+            this.#render()
+        }
+    }
+
+    constructor(bridge) {
+        this.#bridge = bridge
+        this.#bridge.on(EVENT_NAME.ANY, this.#onAnyEvent)
+    }
+
+    show() {
+        if (this.isVisible || this.#isShowPending) {
+            return
+        }
+
+        if (!document.body) {
+            this.#isShowPending = true
+            document.addEventListener('DOMContentLoaded', this.#onDocumentLoaded, { once: true })
+            return
+        }
+
+        this.#container = document.createElement('div')
+        this.#container.style.cssText = CONTAINER_STYLE
+
+        const closeButton = document.createElement('button')
+        closeButton.style.cssText = CLOSE_BUTTON_STYLE
+        closeButton.textContent = 'x'
+        closeButton.addEventListener('click', () => this.hide())
+
+        this.#stateElement = document.createElement('div')
+        this.#eventLogElement = document.createElement('div')
+        this.#eventLogElement.style.cssText = EVENT_LOG_STYLE
+
+        this.#container.appendChild(closeButton)
+        this.#container.appendChild(this.#stateElement)
+        this.#container.appendChild(this.#eventLogElement)
+        document.body.appendChild(this.#container)
+
+        this.#render()
+        this.#refreshIntervalId = setInterval(() => this.#render(), REFRESH_INTERVAL)
+    }
+
+    hide() {
+        if (this.#isShowPending) {
+            this.#isShowPending = false
+            document.removeEventListener('DOMContentLoaded', this.#onDocumentLoaded)
+        }
+
+        if (!this.isVisible) {
+            return
+        }
+
+        clearInterval(this.#refreshIntervalId)
+        this.#container.remove()
+        this.#container = null
+        this.#stateElement = null
+        this.#eventLogElement = null
+    }
+
+    toggle() {
+        if (this.isVisible || this.#isShowPending) {
+            this.hide()
+        } else {
+            this.show()
+        }
+    }
+
+    destroy() {
+        this.hide()
+        this.#bridge.off(EVENT_NAME.ANY, this.#onAnyEvent)
+    }
+
+    #render() {
+        const bridge = this.#bridge
+        const lines = [`InstantGamesBridge v.${bridge.version}`]
+
+        if (bridge.isInitialized) {
+            const { platform, player, advertisement } = bridge
+            lines.push(
+                `Platform: ${platform.id} (${platform.language})`,
+                `Player: ${stringify({
+                    isAuthorized: player.isAuthorized,
+                    id: player.id,
+                    name: player.name,
+                })}`,
+                `Interstitial: ${advertisement.interstitialState}`,
+                `Rewarded: ${advertisement.rewardedState}`,
+                `Banner: ${advertisement.bannerState}`,
+                `Storage keys: ${stringify(this.#storageKeys)}`,
+                `Pending requests: ${stringify(platform.pendingRequests.map((request) => `${request.actionName}#${request.id}`))}`,
+                `Capabilities: ${stringify(platform.capabilities)}`,
+            )
+        } else {
+            lines.push('Not initialized')
+        }
+
+        this.#stateElement.textContent = lines.join('\n')
+
+        const isScrolledToBottom = this.#eventLogElement.scrollTop + this.#eventLogElement.clientHeight
+            >= this.#eventLogElement.scrollHeight
+        this.#eventLogElement.textContent = this.#events.join('\n')
+        if (isScrolledToBottom) {
+            this.#eventLogElement.scrollTop = this.#eventLogElement.scrollHeight
+        }
+    }
+}
+
+export default DebugOverlay
@@ -0,0 +1,100 @@
+import { LOG_LEVEL } from '../constants'
+
+const LEVELS = [
+    LOG_LEVEL.NONE,
+    LOG_LEVEL.ERROR,
+    LOG_LEVEL.WARN,
+    LOG_LEVEL.INFO,
+    LOG_LEVEL.DEBUG,
+    LOG_LEVEL.TRACE,
+]
+
+const CONSOLE_METHODS = {
+    [LOG_LEVEL.ERROR]: 'error',
+    [LOG_LEVEL.WARN]: 'warn',
+    [LOG_LEVEL.INFO]: 'info',
+    [LOG_LEVEL.DEBUG]: 'debug',
+    [LOG_LEVEL.TRACE]: 'debug',
+}
+
+export const consoleSink = function consoleSink(entry) {
+    const time = new Date(entry.timestamp).toISOString()
+    const args = [`[IGB] ${time} [${entry.scope}] ${entry.message}`]
+    if (typeof entry.data !== 'undefined') {
+        args.push(entry.data)
+    }
+
+    console[CONSOLE_METHODS[entry.level]](...args)
+}
+
+class Logger {
+    get level() {
+        return this.#level
+    }
+
+    #level = LOG_LEVEL.ERROR
+
+    #sink = consoleSink
+
+    setLevel(level) {
+        if (!LEVELS.includes(level)) {
+            return false
+        }
+
+        this.#level = level
+        return true
+    }
+
+    setSink(sink) {
+        if (typeof sink !== 'function') {
+            return false
+        }
+
+        this.#sink = sink
+        return true
+    }
+
+    isEnabled(level) {
+        return level !== LOG_LEVEL.NONE && LEVELS.indexOf(level) <= LEVELS.indexOf(this.#level)
+    }
+
+    error(scope, message, data) {
+        this.#write(LOG_LEVEL.ERROR, scope, message, data)
+    }
+
+    warn(scope, message, data) {
+        this.#write(LOG_LEVEL.WARN, scope, message, data)
+    }
+
+    info(scope, message, data) {
+        this.#write(LOG_LEVEL.INFO, scope, message, data)
+    }
+
+    debug(scope, message, data) {
+        this.#write(LOG_LEVEL.DEBUG, scope, message, data)
+    }
+
+    trace(scope, message, data) {
+        this.#write(LOG_LEVEL.TRACE, scope, message, data)
+    }
+
+    #write(level, scope, message, data) {
+        if (!this.isEnabled(level)) {
+            return
+        }
+
+        try {
+            this.#sink({
+                timestamp: Date.now(),
+                level,
+                scope,
+                message,
+                data,
+            })
+        } catch (e) {
+            // A broken sink must never break the game
+        }
+    }
+}
+
+export default Logger
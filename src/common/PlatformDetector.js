@@ -0,0 +1,280 @@
+import { PLATFORM_ID, DETECTION_RULE_TYPE, DETECTION_SOURCE } from '../constants'
+
+const PLATFORM_ID_QUERY_PARAM = 'platform_id'
+const YANDEX_URL = ['y', 'a', 'n', 'd', 'e', 'x', '.', 'n', 'e', 't'].join('')
+
+// Reports end up in support requests, so query and hash are left out, platforms pass signed launch params there
+const getPublicUrl = function getPublicUrl(url) {
+    return `${url.origin}${url.pathname}`
+}
+
+export const DEFAULT_DETECTION_RULES = [
+    {
+        id: 'yandex_hostname',
+        platformId: PLATFORM_ID.YANDEX,
+        type: DETECTION_RULE_TYPE.HOSTNAME,
+        includes: [YANDEX_URL],
+    },
+    {
+        id: 'yandex_hash',
+        platformId: PLATFORM_ID.YANDEX,
+        type: DETECTION_RULE_TYPE.HASH,
+        includes: ['yandex'],
+    },
+    {
+        id: 'crazy_games_hostname',
+        platformId: PLATFORM_ID.CRAZY_GAMES,
+        type: DETECTION_RULE_TYPE.HOSTNAME,
+        includes: ['crazygames.', '1001juegos.com'],
+    },
+    {
+        id: 'game_distribution_hostname',
+        platformId: PLATFORM_ID.GAME_DISTRIBUTION,
+        type: DETECTION_RULE_TYPE.HOSTNAME,
+        includes: ['gamedistribution.com'],
+    },
+    {
+        id: 'wortal_hostname',
+        platformId: PLATFORM_ID.WORTAL,
+        type: DETECTION_RULE_TYPE.HOSTNAME,
+        includes: ['wortal.ai'],
+    },
+    {
+        id: 'vk_query_params',
+        platformId: PLATFORM_ID.VK,
+        type: DETECTION_RULE_TYPE.QUERY_PARAMS,
+        params: ['api_id', 'viewer_id', 'auth_key'],
+    },
+    {
+        id: 'absolute_games_query_params',
+        platformId: PLATFORM_ID.ABSOLUTE_GAMES,
+        type: DETECTION_RULE_TYPE.QUERY_PARAMS,
+        params: ['app_id', 'player_id', 'game_sid', 'auth_key'],
+    },
+    {
+        id: 'playdeck_query_params',
+        platformId: PLATFORM_ID.PLAYDECK,
+        type: DETECTION_RULE_TYPE.QUERY_PARAMS,
+        params: ['playdeck'],
+    },
+    {
+        id: 'telegram_hash',
+        platformId: PLATFORM_ID.TELEGRAM,
+        type: DETECTION_RULE_TYPE.HASH,
+        includes: ['tgWebAppData'],
+    },
+    {
+        id: 'yandex_referrer',
+        platformId: PLATFORM_ID.YANDEX,
+        type: DETECTION_RULE_TYPE.REFERRER,
+        pattern: /(^|\.)yandex\.(ru|com|com\.tr|by|kz|uz|az|com\.am|com\.ge|co\.il|fr)$/,
+    },
+    {
+        id: 'crazy_games_referrer',
+        platformId: PLATFORM_ID.CRAZY_GAMES,
+        type: DETECTION_RULE_TYPE.REFERRER,
+        includes: ['crazygames.', '1001juegos.com'],
+    },
+]
+
+class PlatformDetector {
+    get rules() {
+        return [...this.#rules]
+    }
+
+    #rules = []
+
+    #platformIds = []
+
+    constructor(platformIds, rules = DEFAULT_DETECTION_RULES) {
+        this.#platformIds = [...platformIds]
+        this.#rules = [...rules]
+    }
+
+    addRules(rules, disabledRuleIds = []) {
+        const prependedRules = []
+
+        rules.forEach((rule) => {
+            const index = this.#rules.findIndex((r) => r.id === rule.id)
+            if (index >= 0) {
+                this.#rules[index] = rule
+            } else {
+                prependedRules.push(rule)
+            }
+        })
+
+        this.#rules = [...prependedRules, ...this.#rules]
+            .filter((rule) => !disabledRuleIds.includes(rule.id))
+    }
+
+    detect(forciblySetPlatformId) {
+        const context = this.#createContext()
+        const report = {
+            platformId: PLATFORM_ID.MOCK,
+            source: DETECTION_SOURCE.FALLBACK,
+            matchedRule: null,
+            reason: 'No detection rule matched',
+            url: getPublicUrl(context.url),
+            referrer: context.referrerUrl ? getPublicUrl(context.referrerUrl) : '',
+            rules: [],
+        }
+
+        if (forciblySetPlatformId) {
+            const value = forciblySetPlatformId.toLowerCase()
+            report.source = DETECTION_SOURCE.FORCED
+            if (this.#platformIds.includes(value)) {
+                report.platformId = value
+                report.reason = `Platform is forcibly set to "${value}"`
+            } else {
+                report.reason = `Forcibly set platform "${value}" is unknown`
+            }
+
+            return report
+        }
+
+        if (context.url.searchParams.has(PLATFORM_ID_QUERY_PARAM)) {
+            const value = context.url.searchParams.get(PLATFORM_ID_QUERY_PARAM).toLowerCase()
+            report.source = DETECTION_SOURCE.QUERY_PARAM
+            if (this.#platformIds.includes(value)) {
+                report.platformId = value
+                report.reason = `Query param "${PLATFORM_ID_QUERY_PARAM}" is "${value}"`
+            } else {
+                report.reason = `Query param "${PLATFORM_ID_QUERY_PARAM}" has unknown platform "${value}"`
+            }
+
+            return report
+        }
+
+        for (let i = 0; i < this.#rules.length; i++) {
+            const rule = this.#rules[i]
+            const result = this.#evaluateRule(rule, context)
+            report.rules.push({
+                id: rule.id,
+                platformId: rule.platformId,
+                type: rule.type,
+                matched: result.matched,
+                reason: result.reason,
+                error: result.error || null,
+            })
+
+            if (result.matched) {
+                report.platformId = rule.platformId
+                report.source = DETECTION_SOURCE.RULE
+                report.matchedRule = rule.id
+                report.reason = result.reason
+                break
+            }
+        }
+
+        return report
+    }
+
+    #createContext() {
+        let referrer = ''
+        let referrerUrl = null
+
+        try {
+            referrer = document.referrer || ''
+            if (referrer) {
+                referrerUrl = new URL(referrer)
+            }
+        } catch (e) {
+            // Nothing we can do with it
+        }
+
+        return {
+            url: new URL(window.location.href),
+            referrer,
+            referrerUrl,
+            referrerHostname: referrerUrl ? referrerUrl.hostname : '',
+        }
+    }
+
+    #evaluateRule(rule, context) {
+        if (!this.#platformIds.includes(rule.platformId)) {
+            return { matched: false, reason: `Unknown platform "${rule.platformId}"` }
+        }
+
+        switch (rule.type) {
+            case DETECTION_RULE_TYPE.HOSTNAME: {
+                return this.#matchString(rule, 'hostname', context.url.hostname)
+            }
+            case DETECTION_RULE_TYPE.REFERRER: {
+                if (!context.referrerHostname) {
+                    return { matched: false, reason: 'Referrer is empty' }
+                }
+
+                return this.#matchString(rule, 'referrer', context.referrerHostname)
+            }
+            case DETECTION_RULE_TYPE.HASH: {
+                return this.#matchString(rule, 'hash', context.url.hash)
+            }
+            case DETECTION_RULE_TYPE.QUERY_PARAMS: {
+                const params = rule.params || []
+                const missingParams = params.filter((param) => !context.url.searchParams.has(param))
+                if (params.length > 0 && missingParams.length === 0) {
+                    return { matched: true, reason: `Query params ${params.join(', ')} are present` }
+                }
+
+                return { matched: false, reason: `Query params ${missingParams.join(', ')} are missing` }
+            }
+            case DETECTION_RULE_TYPE.PARENT_GLOBAL: {
+                const path = rule.path || []
+                try {
+                    let parent = window.parent
+                    for (let i = 0; i < path.length; i++) {
+                        parent = parent[path[i]]
+                        if (!parent) {
+                            return { matched: false, reason: `window.parent.${path.slice(0, i + 1).join('.')} is undefined` }
+                        }
+                    }
+                } catch (e) {
+                    return { matched: false, reason: 'window.parent is not accessible' }
+                }
+
+                return { matched: path.length > 0, reason: `window.parent.${path.join('.')} is defined` }
+            }
+            case DETECTION_RULE_TYPE.CUSTOM: {
+                try {
+                    const matched = !!rule.test(context)
+                    return { matched, reason: matched ? 'Custom rule matched' : 'Custom rule did not match' }
+                } catch (e) {
+                    const error = e && e.message ? e.message : String(e)
+                    return { matched: false, reason: `Custom rule threw: ${error}`, error }
+                }
+            }
+            default: {
+                return { matched: false, reason: `Unknown rule type "${rule.type}"` }
+            }
+        }
+    }
+
+    // Matched values are never put into reasons, a hash may hold the whole launch data of the player
+    #matchString(rule, name, value) {
+        if (rule.pattern) {
+            // Patterns from options are strings, a broken one fails only its own rule
+            let pattern
+            try {
+                pattern = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern)
+            } catch (e) {
+                return { matched: false, reason: `Pattern ${rule.pattern} is invalid`, error: e.message }
+            }
+
+            if (pattern.test(value)) {
+                return { matched: true, reason: `${name} matches ${pattern}` }
+            }
+
+            return { matched: false, reason: `${name} does not match ${pattern}` }
+        }
+
+        const includes = rule.includes || []
+        const match = includes.find((item) => value.includes(item))
+        if (match) {
+            return { matched: true, reason: `${name} contains "${match}"` }
+        }
+
+        return { matched: false, reason: `${name} contains none of ${includes.join(', ')}` }
+    }
+}
+
+export default PlatformDetector
@@ -0,0 +1,118 @@
+import PromiseDecorator from './PromiseDecorator'
+import { ACTION_NAME, REQUEST_POLICY } from '../constants'
+
+export const DEFAULT_REQUEST_POLICIES = {
+    [ACTION_NAME.SET_LEADERBOARD_SCORE]: REQUEST_POLICY.QUEUE,
+    [ACTION_NAME.PURCHASE]: REQUEST_POLICY.REJECT_CONCURRENT,
+    [ACTION_NAME.SHARE]: REQUEST_POLICY.QUEUE,
+    [ACTION_NAME.INVITE_FRIENDS]: REQUEST_POLICY.QUEUE,
+    [ACTION_NAME.JOIN_COMMUNITY]: REQUEST_POLICY.QUEUE,
+    [ACTION_NAME.CREATE_POST]: REQUEST_POLICY.QUEUE,
+    [ACTION_NAME.SHOW_LEADERBOARD_NATIVE_POPUP]: REQUEST_POLICY.REJECT_CONCURRENT,
+    [ACTION_NAME.CLIPBOARD_WRITE]: REQUEST_POLICY.QUEUE,
+}
+
+class RequestRegistry {
+    get requests() {
+        return this.#requests.filter((request) => !request.isCancelled).map((request) => ({
+            id: request.id,
+            actionName: request.actionName,
+            policy: request.policy,
+            isStarted: request.isStarted,
+            createdAt: request.createdAt,
+        }))
+    }
+
+    #requests = []
+
+    #policies = { ...DEFAULT_REQUEST_POLICIES }
+
+    #lastRequestId = 0
+
+    getPolicy(actionName) {
+        return this.#policies[actionName] || REQUEST_POLICY.DEDUPE
+    }
+
+    setPolicy(actionName, policy) {
+        if (!Object.values(REQUEST_POLICY).includes(policy)) {
+            return false
+        }
+
+        this.#policies[actionName] = policy
+        return true
+    }
+
+    getPending(actionName) {
+        return this.#requests.filter((request) => request.actionName === actionName && !request.isCancelled)
+    }
+
+    // Numeric ids address a single request, action names address the oldest started one,
+    // which is how callback based platforms report results. Cancelled requests still waiting
+    // for their platform answer are found too, so a late answer never reaches the next request
+    find(idOrActionName) {
+        if (typeof idOrActionName === 'number') {
+            return this.#requests.find((request) => request.id === idOrActionName)
+        }
+
+        return this.#requests.find((request) => request.actionName === idOrActionName && request.isStarted)
+    }
+
+    findIdentical(actionName, options) {
+        const key = this.#createKey(options)
+        if (key === null) {
+            return undefined
+        }
+
+        return this.#requests.find((request) => request.actionName === actionName
+            && request.key === key
+            && !request.isCancelled)
+    }
+
+    create(actionName, options) {
+        this.#lastRequestId += 1
+
+        const request = {
+            id: this.#lastRequestId,
+            actionName,
+            key: this.#createKey(options),
+            policy: this.getPolicy(actionName),
+            isStarted: false,
+            isCancelled: false,
+            subscriberCount: 0,
+            createdAt: Date.now(),
+            cleanups: [],
+            promiseDecorator: new PromiseDecorator(),
+        }
+
+        this.#requests.push(request)
+        return request
+    }
+
+    remove(request) {
+        const index = this.#requests.indexOf(request)
+        if (index >= 0) {
+            this.#requests.splice(index, 1)
+        }
+    }
+
+    #createKey(options) {
+        if (typeof options === 'undefined') {
+            return ''
+        }
+
+        try {
+            return JSON.stringify(options, (key, value) => {
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    return Object.fromEntries(Object.keys(value).sort().map((k) => [k, value[k]]))
+                }
+
+                return value
+            })
+        } catch (e) {
+            // Options which can't be compared are never deduplicated
+            return null
+        }
+    }
+}
+
+export default RequestRegistry
@@ -8,6 +8,7 @@ export const EVENT_NAME = {
 export const STATE = {
     CREATED: 'created',
     STARTED: 'started',
+    PAUSED: 'paused',
     STOPPED: 'stopped',
     COMPLETED: 'completed',
 }
@@ -17,6 +18,14 @@ class Timer {
         return this.#state
     }
 
+    get time() {
+        return this.#time
+    }
+
+    get timeLeft() {
+        return this.#timeLeft
+    }
+
     #time = 0
 
     #timeLeft = 0
@@ -25,23 +34,50 @@ class Timer {
 
     #intervalId = 0
 
-    constructor(time) {
+    #pauseWhileHidden = false
+
+    #onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') {
+            this.pause()
+        } else {
+            this.resume()
+        }
+    }
+
+    constructor(time, options = {}) {
         this.#time = time
+        this.#pauseWhileHidden = !!options.pauseWhileHidden
     }
 
-    start() {
+    // Time left may be passed to continue a countdown, e.g. one restored after a page reload
+    start(timeLeft = this.#time) {
         if (this.#state === STATE.CREATED || this.#state === STATE.COMPLETED) {
-            this.#timeLeft = this.#time
+            this.#timeLeft = timeLeft
             this.#setState(STATE.STARTED)
-            this.#intervalId = setInterval(() => {
-                this.#timeLeft -= 1
-                this.emit(EVENT_NAME.TIME_LEFT_CHANGED, this.#timeLeft)
 
-                if (this.#timeLeft <= 0) {
-                    this.#clear()
-                    this.#setState(STATE.COMPLETED)
+            if (this.#pauseWhileHidden) {
+                document.addEventListener('visibilitychange', this.#onVisibilityChange)
+                if (document.visibilityState === 'hidden') {
+                    this.pause()
+                    return
                 }
-            }, 1000)
+            }
+
+            this.#startInterval()
+        }
+    }
+
+    pause() {
+        if (this.#state === STATE.STARTED) {
+            clearInterval(this.#intervalId)
+            this.#setState(STATE.PAUSED)
+        }
+    }
+
+    resume() {
+        if (this.#state === STATE.PAUSED) {
+            this.#setState(STATE.STARTED)
+            this.#startInterval()
         }
     }
 
@@ -50,6 +86,18 @@ class Timer {
         this.#setState(STATE.STOPPED)
     }
 
+    #startInterval() {
+        this.#intervalId = setInterval(() => {
+            this.#timeLeft -= 1
+            this.emit(EVENT_NAME.TIME_LEFT_CHANGED, this.#timeLeft)
+
+            if (this.#timeLeft <= 0) {
+                this.#clear()
+                this.#setState(STATE.COMPLETED)
+            }
+        }, 1000)
+    }
+
     #setState(value) {
         this.#state = value
         this.emit(EVENT_NAME.STATE_CHANGED, this.#state)
@@ -58,6 +106,7 @@ class Timer {
     #clear() {
         this.#timeLeft = 0
         clearInterval(this.#intervalId)
+        document.removeEventListener('visibilitychange', this.#onVisibilityChange)
     }
 }
 
@@ -1,32 +1,204 @@
-export const addJavaScript = function addJavaScript(src) {
-    return new Promise((resolve) => {
+const WAIT_FOR_TIMEOUT = 10000
+const WAIT_FOR_INTERVAL = 100
+
+const getDefaultNonce = function getDefaultNonce() {
+    const script = document.currentScript || document.querySelector('script[nonce]')
+    return (script && (script.nonce || script.getAttribute('nonce'))) || null
+}
+
+// Removing a script element doesn't stop a download which has started, a timed out script still runs
+// when it arrives. The timeout error carries lateLoad, settled with true once such a script has run
+// and with false once it has failed for good
+export const addJavaScript = function addJavaScript(src, options = {}) {
+    return new Promise((resolve, reject) => {
         const script = document.createElement('script')
+        let timeoutId
+        let settleLateLoad = null
+
+        const fail = (message) => {
+            clearTimeout(timeoutId)
+            script.remove()
+            reject(new Error(message))
+        }
+
+        const nonce = options.nonce || getDefaultNonce()
+        if (nonce) {
+            script.nonce = nonce
+        }
+
+        if (options.integrity) {
+            script.integrity = options.integrity
+            script.crossOrigin = options.crossOrigin || 'anonymous'
+        } else if (options.crossOrigin) {
+            script.crossOrigin = options.crossOrigin
+        }
+
         script.src = src
-        script.addEventListener('load', resolve)
+        script.addEventListener('load', () => {
+            if (settleLateLoad) {
+                script.remove()
+                settleLateLoad(true)
+                return
+            }
+
+            clearTimeout(timeoutId)
+            resolve(script)
+        })
+        script.addEventListener('error', () => {
+            if (settleLateLoad) {
+                script.remove()
+                settleLateLoad(false)
+                return
+            }
+
+            fail(`Script ${src} failed to load`)
+        })
+
+        if (options.timeout > 0) {
+            timeoutId = setTimeout(() => {
+                const error = new Error(`Script ${src} did not load in ${options.timeout} ms`)
+                error.lateLoad = new Promise((resolveLateLoad) => {
+                    settleLateLoad = resolveLateLoad
+                })
+                reject(error)
+            }, options.timeout)
+        }
+
         document.head.appendChild(script)
     })
 }
 
+// A retry or a mirror starts only once the previous attempt can't run anymore, so the SDK never runs twice.
+// A script that runs after its timeout ends the loading as failed, the late copy is not taken for a result
+export const loadJavaScript = function loadJavaScript(urls, options = {}) {
+    const { retries = 0, retryDelay = 0 } = options
+    const attempts = []
+
+    const createLoadError = () => {
+        const loadError = new Error(`Script failed to load from ${urls.join(', ')}`)
+        loadError.attempts = attempts
+        return loadError
+    }
+
+    const load = (urlIndex, attempt) => addJavaScript(urls[urlIndex], options)
+        .then((script) => ({ url: urls[urlIndex], attempts, script }))
+        .catch((error) => {
+            attempts.push({ url: urls[urlIndex], attempt, reason: error.message })
+
+            return Promise.resolve(error.lateLoad || false)
+                .then((isLoadedLate) => {
+                    if (isLoadedLate) {
+                        attempts.push({ url: urls[urlIndex], attempt, reason: 'Script loaded after the timeout' })
+                        throw createLoadError()
+                    }
+
+                    if (attempt < retries) {
+                        return new Promise((resolve) => {
+                            setTimeout(resolve, retryDelay * (2 ** attempt))
+                        }).then(() => load(urlIndex, attempt + 1))
+                    }
+
+                    if (urlIndex + 1 < urls.length) {
+                        return load(urlIndex + 1, 0)
+                    }
+
+                    throw createLoadError()
+                })
+        })
+
+    return load(0, 0)
+}
+
 export const waitFor = function waitFor(...args) {
+    let options = {}
+    if (args.length > 0 && typeof args[args.length - 1] === 'object') {
+        options = args.pop()
+    }
+
     if (args.length <= 0) {
         return Promise.resolve()
     }
 
-    return new Promise((resolve) => {
-        const checkInterval = setInterval(() => {
-            let parent = window
+    const { timeout = WAIT_FOR_TIMEOUT, interval = WAIT_FOR_INTERVAL, signal } = options
 
-            for (let i = 0; i < args.length; i++) {
-                const currentObject = parent[args[i]]
-                if (!currentObject) {
-                    return
-                }
+    const isAvailable = () => {
+        let parent = window
 
-                parent = currentObject
+        for (let i = 0; i < args.length; i++) {
+            const currentObject = parent[args[i]]
+            if (!currentObject) {
+                return false
             }
 
+            parent = currentObject
+        }
+
+        return true
+    }
+
+    return new Promise((resolve, reject) => {
+        if (isAvailable()) {
             resolve()
+            return
+        }
+
+        if (signal && signal.aborted) {
+            reject(new Error(`Waiting for window.${args.join('.')} was aborted`))
+            return
+        }
+
+        let checkInterval = 0
+        const onAbort = () => {
             clearInterval(checkInterval)
-        }, 100)
+            reject(new Error(`Waiting for window.${args.join('.')} was aborted`))
+        }
+
+        const finish = () => {
+            clearInterval(checkInterval)
+            if (signal) {
+                signal.removeEventListener('abort', onAbort)
+            }
+        }
+
+        const startTime = Date.now()
+        checkInterval = setInterval(() => {
+            if (isAvailable()) {
+                finish()
+                resolve()
+                return
+            }
+
+            if (timeout > 0 && Date.now() - startTime >= timeout) {
+                finish()
+                reject(new Error(`window.${args.join('.')} is not available after ${timeout} ms`))
+            }
+        }, interval)
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort)
+        }
+    })
+}
+
+export const isPlainObject = function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') {
+        return false
+    }
+
+    const prototype = Object.getPrototypeOf(value)
+    return prototype === Object.prototype || prototype === null
+}
+
+// Plain objects are merged recursively, anything else (arrays included) from the source replaces the target
+export const deepMerge = function deepMerge(target, source) {
+    if (!isPlainObject(source)) {
+        return source
+    }
+
+    const result = isPlainObject(target) ? { ...target } : {}
+    Object.keys(source).forEach((key) => {
+        result[key] = deepMerge(result[key], source[key])
     })
+
+    return result
 }
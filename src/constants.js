@@ -13,6 +13,19 @@ export const PLATFORM_ID = {
     MOCK: 'mock',
 }
 
+// Platform depended options may target a whole group instead of repeating the same block per platform
+export const PLATFORM_GROUP = {
+    VK_FAMILY: 'vk_family',
+    TELEGRAM_FAMILY: 'telegram_family',
+}
+
+export const PLATFORM_GROUP_MEMBERS = {
+    [PLATFORM_GROUP.VK_FAMILY]: [PLATFORM_ID.VK, PLATFORM_ID.OK, PLATFORM_ID.VK_PLAY],
+    [PLATFORM_GROUP.TELEGRAM_FAMILY]: [PLATFORM_ID.TELEGRAM, PLATFORM_ID.PLAYDECK],
+}
+
+export const DEFAULT_OPTIONS_KEY = 'default'
+
 export const MODULE_NAME = {
     PLATFORM: 'platform',
     PLAYER: 'player',
@@ -32,6 +45,13 @@ export const EVENT_NAME = {
     REWARDED_STATE_CHANGED: 'rewarded_state_changed',
     BANNER_STATE_CHANGED: 'banner_state_changed',
     VISIBILITY_STATE_CHANGED: 'visibility_state_changed',
+    PAUSE_STATE_CHANGED: 'pause_state_changed',
+    AUDIO_STATE_CHANGED: 'audio_state_changed',
+    CAPABILITIES_CHANGED: 'capabilities_changed',
+    AUTHORIZATION_STATE_CHANGED: 'authorization_state_changed',
+    PLAYER_AUTHORIZED: 'authorized',
+    STORAGE_CHANGED: 'changed',
+    ANY: '*',
 }
 
 export const VISIBILITY_STATE = {
@@ -39,6 +59,16 @@ export const VISIBILITY_STATE = {
     HIDDEN: 'hidden',
 }
 
+export const PAUSE_STATE = {
+    PAUSED: 'paused',
+    RESUMED: 'resumed',
+}
+
+export const AUDIO_STATE = {
+    MUTED: 'muted',
+    UNMUTED: 'unmuted',
+}
+
 export const INTERSTITIAL_STATE = {
     LOADING: 'loading',
     OPENED: 'opened',
@@ -54,6 +84,20 @@ export const REWARDED_STATE = {
     REWARDED: 'rewarded',
 }
 
+// Why a showInterstitial() / showRewarded() promise resolved the way it did
+export const ADVERTISEMENT_RESULT_REASON = {
+    COMPLETED: 'completed',
+    SKIPPED: 'skipped',
+    FAILED: 'failed',
+    IN_PROGRESS: 'in_progress',
+    MINIMUM_DELAY: 'minimum_delay',
+    GRACE_PERIOD: 'grace_period',
+    SESSION_LIMIT: 'session_limit',
+    DAILY_LIMIT: 'daily_limit',
+    TIMEOUT: 'timeout',
+    DESTROYED: 'destroyed',
+}
+
 export const BANNER_STATE = {
     LOADING: 'loading',
     SHOWN: 'shown',
@@ -61,6 +105,22 @@ export const BANNER_STATE = {
     FAILED: 'failed',
 }
 
+export const DETECTION_RULE_TYPE = {
+    HOSTNAME: 'hostname',
+    REFERRER: 'referrer',
+    QUERY_PARAMS: 'query_params',
+    HASH: 'hash',
+    PARENT_GLOBAL: 'parent_global',
+    CUSTOM: 'custom',
+}
+
+export const DETECTION_SOURCE = {
+    FORCED: 'forced',
+    QUERY_PARAM: 'query_param',
+    RULE: 'rule',
+    FALLBACK: 'fallback',
+}
+
 export const STORAGE_TYPE = {
     LOCAL_STORAGE: 'local_storage',
     PLATFORM_INTERNAL: 'platform_internal',
@@ -85,6 +145,7 @@ export const PLATFORM_MESSAGE = {
 
 export const ACTION_NAME = {
     INITIALIZE: 'initialize',
+    SEND_MESSAGE: 'send_message',
     AUTHORIZE_PLAYER: 'authorize_player',
     SHARE: 'share',
     INVITE_FRIENDS: 'invite_friends',
@@ -102,17 +163,81 @@ export const ACTION_NAME = {
     CONSUME_PURCHASE: 'consume_purchase',
     GET_REMOTE_CONFIG: 'get_remote_config',
     GET_STORAGE_DATA: 'get_storage_data',
+    SET_STORAGE_DATA: 'set_storage_data',
+    DELETE_STORAGE_DATA: 'delete_storage_data',
     SHOW_LEADERBOARD_NATIVE_POPUP: 'show_leaderboard_native_popup',
+    CLIPBOARD_READ: 'clipboard_read',
     CLIPBOARD_WRITE: 'clipboard_write',
     ADBLOCK_DETECT: 'adblock_detect',
+    GET_SERVER_TIME: 'get_server_time',
+    SHOW_BANNER: 'show_banner',
+    SHOW_INTERSTITIAL: 'show_interstitial',
+    SHOW_REWARDED: 'show_rewarded',
+    PRELOAD_INTERSTITIAL: 'preload_interstitial',
+    PRELOAD_REWARDED: 'preload_rewarded',
+}
+
+export const LOG_LEVEL = {
+    NONE: 'none',
+    ERROR: 'error',
+    WARN: 'warn',
+    INFO: 'info',
+    DEBUG: 'debug',
+    TRACE: 'trace',
+}
+
+export const REQUEST_POLICY = {
+    DEDUPE: 'dedupe',
+    QUEUE: 'queue',
+    REJECT_CONCURRENT: 'reject_concurrent',
+}
+
+export const ERROR_CODE = {
+    NOT_INITIALIZED: 'not_initialized',
+    NOT_SUPPORTED: 'not_supported',
+    NOT_AVAILABLE: 'not_available',
+    NOT_AUTHORIZED: 'not_authorized',
+    INVALID_OPTIONS: 'invalid_options',
+    PLATFORM_ERROR: 'platform_error',
+    TIMEOUT: 'timeout',
+    USER_CANCELLED: 'user_cancelled',
+    CONCURRENT_REQUEST: 'concurrent_request',
+    ABORTED: 'aborted',
+    SCRIPT_LOAD_FAILED: 'script_load_failed',
 }
 
 export const ERROR = {
-    SDK_NOT_INITIALIZED: { message: 'Before using the SDK you must initialize it' },
-    STORAGE_NOT_SUPPORTED: { message: 'Storage not supported' },
-    STORAGE_NOT_AVAILABLE: { message: 'Storage not available' },
-    GAME_DISTRIBUTION_GAME_ID_IS_UNDEFINED: { message: 'GameDistribution Game ID is undefined' },
-    VK_PLAY_GAME_ID_IS_UNDEFINED: { message: 'VK Play Game ID is undefined' },
-    OK_GAME_PARAMS_NOT_FOUND: { message: 'OK Game params are not found' },
-    INVITE_FRIENDS_MESSAGE_LENGTH_ERROR: { message: 'Message is too long' },
+    SDK_NOT_INITIALIZED: { code: ERROR_CODE.NOT_INITIALIZED, message: 'Before using the SDK you must initialize it' },
+    NOT_SUPPORTED: { code: ERROR_CODE.NOT_SUPPORTED, message: 'Action is not supported on this platform' },
+    NOT_AVAILABLE: { code: ERROR_CODE.NOT_AVAILABLE, message: 'Action is not available right now' },
+    NOT_AUTHORIZED: { code: ERROR_CODE.NOT_AUTHORIZED, message: 'Player is not authorized' },
+    INVALID_OPTIONS: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Options are invalid' },
+    PLATFORM_ERROR: { code: ERROR_CODE.PLATFORM_ERROR, message: 'Platform returned an error' },
+    USER_CANCELLED: { code: ERROR_CODE.USER_CANCELLED, message: 'Action was cancelled by the user' },
+    CONCURRENT_REQUEST: { code: ERROR_CODE.CONCURRENT_REQUEST, message: 'Another request for this action is in progress' },
+    REQUEST_TIMEOUT: { code: ERROR_CODE.TIMEOUT, message: 'Request timed out' },
+    REQUEST_ABORTED: { code: ERROR_CODE.ABORTED, message: 'Request was aborted' },
+    SCRIPT_LOAD_FAILED: { code: ERROR_CODE.SCRIPT_LOAD_FAILED, message: 'Platform script failed to load' },
+    PLATFORM_BRIDGE_LOAD_FAILED: { code: ERROR_CODE.SCRIPT_LOAD_FAILED, message: 'Platform bridge failed to load' },
+    INITIALIZATION_FAILED: { code: ERROR_CODE.PLATFORM_ERROR, message: 'Platform initialization failed' },
+    INITIALIZATION_TIMEOUT: { code: ERROR_CODE.TIMEOUT, message: 'Platform initialization timed out' },
+    STORAGE_NOT_SUPPORTED: { code: ERROR_CODE.NOT_SUPPORTED, message: 'Storage not supported' },
+    STORAGE_NOT_AVAILABLE: { code: ERROR_CODE.NOT_AVAILABLE, message: 'Storage not available' },
+    GAME_DISTRIBUTION_GAME_ID_IS_UNDEFINED: { code: ERROR_CODE.INVALID_OPTIONS, message: 'GameDistribution Game ID is undefined' },
+    VK_PLAY_GAME_ID_IS_UNDEFINED: { code: ERROR_CODE.INVALID_OPTIONS, message: 'VK Play Game ID is undefined' },
+    OK_GAME_PARAMS_NOT_FOUND: { code: ERROR_CODE.PLATFORM_ERROR, message: 'OK Game params are not found' },
+    INVITE_FRIENDS_MESSAGE_LENGTH_ERROR: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Message is too long' },
+    MOCK_FAILURE_FORCED: { code: ERROR_CODE.PLATFORM_ERROR, message: 'Failure is forced by the mock platform options' },
+    PLATFORM_REGISTRATION_AFTER_INITIALIZATION: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Platforms must be registered before the SDK initialization' },
+    PLATFORM_ID_IS_INVALID: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Platform ID must be a non-empty string' },
+    PLATFORM_BRIDGE_IS_INVALID: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Platform bridge must extend PlatformBridgeBase' },
+    PLATFORM_DETECTOR_IS_INVALID: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Platform detector must be a function or a detection rule' },
+    REQUEST_POLICY_IS_INVALID: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Request policy must be one of REQUEST_POLICY values' },
+    MIDDLEWARE_IS_INVALID: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Middleware must be a function' },
+    LOG_LEVEL_IS_INVALID: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Log level must be one of LOG_LEVEL values' },
+    LOG_SINK_IS_INVALID: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Log sink must be a function' },
+    BRIDGE_DESTROYED: { code: ERROR_CODE.ABORTED, message: 'Bridge was destroyed' },
+    COMMAND_IS_INVALID: { code: ERROR_CODE.INVALID_OPTIONS, message: 'Command must be a JSON object with module and method' },
+    COMMAND_NOT_FOUND: { code: ERROR_CODE.NOT_SUPPORTED, message: 'Command module or method not found' },
+    COMMAND_RESULT_IS_NOT_SERIALIZABLE: { code: ERROR_CODE.PLATFORM_ERROR, message: 'Command result can not be serialized to JSON' },
 }
@@ -1,10 +1,31 @@
 import EventLite from 'event-lite'
-import Timer, { STATE as TIMER_STATE } from '../common/Timer'
+import Timer, { STATE as TIMER_STATE, EVENT_NAME as TIMER_EVENT_NAME } from '../common/Timer'
 import ModuleBase from './ModuleBase'
+import { deepMerge, isPlainObject } from '../common/utils'
 import {
-    EVENT_NAME, INTERSTITIAL_STATE, REWARDED_STATE, BANNER_STATE,
+    EVENT_NAME, INTERSTITIAL_STATE, REWARDED_STATE, BANNER_STATE, ACTION_NAME, ADVERTISEMENT_RESULT_REASON,
 } from '../constants'
 
+const INTERSTITIAL_DELAY_STORAGE_KEY = 'instant_games_bridge_interstitial_delay'
+const DAILY_SHOW_COUNTS_STORAGE_KEY = 'instant_games_bridge_advertisement_daily_show_counts'
+
+// Bounds the wait for the end of a show call when a platform never reports it
+const DEFAULT_RESULT_TIMEOUT = 120000
+
+const AD_TYPE = {
+    INTERSTITIAL: 'interstitial',
+    REWARDED: 'rewarded',
+}
+
+const createResult = function createResult(reason, shown = false, rewarded = false, durationMs = 0) {
+    return {
+        shown,
+        rewarded,
+        durationMs,
+        reason,
+    }
+}
+
 class AdvertisementModule extends ModuleBase {
     get isBannerSupported() {
         return this._platformBridge.isBannerSupported
@@ -26,46 +47,114 @@ class AdvertisementModule extends ModuleBase {
         return this.#minimumDelayBetweenInterstitial
     }
 
+    get interstitialCooldownLeft() {
+        return this.#isInterstitialDelayActive() ? this.#interstitialTimer.timeLeft : 0
+    }
+
+    _optionsArguments = {
+        setMinimumDelayBetweenInterstitial: 0,
+        setPacingPolicy: 0,
+        showBanner: 0,
+        showInterstitial: 0,
+        showRewarded: 0,
+    }
+
+    _stateEvents = {
+        [EVENT_NAME.INTERSTITIAL_STATE_CHANGED]: 'interstitialState',
+        [EVENT_NAME.REWARDED_STATE_CHANGED]: 'rewardedState',
+        [EVENT_NAME.BANNER_STATE_CHANGED]: 'bannerState',
+    }
+
     #interstitialTimer
 
     #minimumDelayBetweenInterstitial = 60
 
-    constructor(platformBridge) {
+    #pendingResults = []
+
+    #resultTimeout = DEFAULT_RESULT_TIMEOUT
+
+    #isInterstitialDelayPersisted = true
+
+    #isInterstitialDelayPausedWhileHidden = true
+
+    // { interstitial, rewarded } with minimumDelay, maxPerSession, maxPerDay and gracePeriod each
+    #pacingPolicy = {}
+
+    #sessionStartedAt = Date.now()
+
+    #sessionShowCounts = { [AD_TYPE.INTERSTITIAL]: 0, [AD_TYPE.REWARDED]: 0 }
+
+    #dailyShowCounts = null
+
+    #lastRewardedClosedAt = 0
+
+    // The time left only changes while the page is open, so it is saved when the page goes away
+    #onPageHide = () => {
+        if (this.#isInterstitialDelayActive()) {
+            this.#saveInterstitialDelay(this.#interstitialTimer.time, this.#interstitialTimer.timeLeft)
+        }
+    }
+
+    constructor(platformBridge, options) {
         super(platformBridge)
 
+        const resolvedOptions = this._resolveOptions(options)
+        if (resolvedOptions) {
+            if (typeof resolvedOptions.persistInterstitialDelay === 'boolean') {
+                this.#isInterstitialDelayPersisted = resolvedOptions.persistInterstitialDelay
+            }
+
+            if (typeof resolvedOptions.pauseInterstitialDelayWhileHidden === 'boolean') {
+                this.#isInterstitialDelayPausedWhileHidden = resolvedOptions.pauseInterstitialDelayWhileHidden
+            }
+
+            if (typeof resolvedOptions.resultTimeout === 'number' && resolvedOptions.resultTimeout > 0) {
+                this.#resultTimeout = resolvedOptions.resultTimeout
+            }
+        }
+
+        this.#restoreInterstitialTimer()
+        if (this.#isInterstitialDelayPersisted) {
+            window.addEventListener('pagehide', this.#onPageHide)
+        }
+
+        if (resolvedOptions && resolvedOptions.pacing) {
+            this.setPacingPolicy(resolvedOptions.pacing)
+        }
+
         this._platformBridge.on(
             EVENT_NAME.INTERSTITIAL_STATE_CHANGED,
             (state) => {
                 if (state === INTERSTITIAL_STATE.CLOSED) {
+                    this.#countShow(AD_TYPE.INTERSTITIAL)
                     if (this.#minimumDelayBetweenInterstitial > 0) {
                         this.#startInterstitialTimer()
                     }
                 }
 
-                this.emit(EVENT_NAME.INTERSTITIAL_STATE_CHANGED, state)
+                this._emitEvent(EVENT_NAME.INTERSTITIAL_STATE_CHANGED, state)
             },
         )
 
         this._platformBridge.on(
             EVENT_NAME.REWARDED_STATE_CHANGED,
-            (state) => this.emit(EVENT_NAME.REWARDED_STATE_CHANGED, state),
+            (state) => {
+                if (state === REWARDED_STATE.CLOSED) {
+                    this.#countShow(AD_TYPE.REWARDED)
+                    this.#lastRewardedClosedAt = Date.now()
+                }
+
+                this._emitEvent(EVENT_NAME.REWARDED_STATE_CHANGED, state)
+            },
         )
 
         this._platformBridge.on(
             EVENT_NAME.BANNER_STATE_CHANGED,
-            (state) => this.emit(EVENT_NAME.BANNER_STATE_CHANGED, state),
+            (state) => this._emitEvent(EVENT_NAME.BANNER_STATE_CHANGED, state),
         )
     }
 
     setMinimumDelayBetweenInterstitial(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (typeof platformDependedOptions !== 'undefined') {
-                this.setMinimumDelayBetweenInterstitial(platformDependedOptions)
-                return
-            }
-        }
-
         const optionsType = typeof options
         let delay = this.#minimumDelayBetweenInterstitial
 
@@ -88,21 +177,37 @@ class AdvertisementModule extends ModuleBase {
 
         this.#minimumDelayBetweenInterstitial = delay
 
-        if (this.#interstitialTimer) {
+        // The running cooldown keeps the time already passed since the last interstitial
+        if (this.#isInterstitialDelayActive()) {
+            const { time, timeLeft } = this.#interstitialTimer
+            const newTimeLeft = delay - (time - timeLeft)
             this.#interstitialTimer.stop()
-            this.#startInterstitialTimer()
+            this.#interstitialTimer = null
+
+            if (newTimeLeft > 0) {
+                this.#startInterstitialTimer(delay, newTimeLeft)
+            } else {
+                this.#deleteSavedInterstitialDelay()
+            }
         }
     }
 
-    showBanner(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                this.showBanner(platformDependedOptions)
-                return
-            }
+    // Per platform overrides come from the usual { default, <group>, <platform> } blocks.
+    // The policy is deep merged into the current one, a limit set to null is turned off
+    setPacingPolicy(options) {
+        if (!isPlainObject(options)) {
+            return
+        }
+
+        this.#pacingPolicy = deepMerge(this.#pacingPolicy, options)
+
+        const interstitialPolicy = options[AD_TYPE.INTERSTITIAL]
+        if (interstitialPolicy && typeof interstitialPolicy.minimumDelay !== 'undefined') {
+            this.setMinimumDelayBetweenInterstitial(interstitialPolicy.minimumDelay)
         }
+    }
 
+    showBanner(options) {
         if (this.bannerState === BANNER_STATE.LOADING || this.bannerState === BANNER_STATE.SHOWN) {
             return
         }
@@ -130,15 +235,7 @@ class AdvertisementModule extends ModuleBase {
 
     showInterstitial(options) {
         if (this.#hasAdvertisementInProgress()) {
-            return
-        }
-
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                this.showInterstitial(platformDependedOptions)
-                return
-            }
+            return Promise.resolve(createResult(ADVERTISEMENT_RESULT_REASON.IN_PROGRESS))
         }
 
         let ignoreDelay = false
@@ -148,38 +245,332 @@ class AdvertisementModule extends ModuleBase {
 
         this._platformBridge._setInterstitialState(INTERSTITIAL_STATE.LOADING)
 
-        if (this.#interstitialTimer && this.#interstitialTimer.state !== TIMER_STATE.COMPLETED && !ignoreDelay) {
+        if (this.#isInterstitialDelayActive() && !ignoreDelay) {
             this._platformBridge._setInterstitialState(INTERSTITIAL_STATE.FAILED)
-            return
+            return Promise.resolve(createResult(ADVERTISEMENT_RESULT_REASON.MINIMUM_DELAY))
         }
 
-        this._platformBridge.showInterstitial(options)
+        const pacingFailureReason = this.#getPacingFailureReason(AD_TYPE.INTERSTITIAL)
+        if (pacingFailureReason) {
+            this._platformBridge._setInterstitialState(INTERSTITIAL_STATE.FAILED)
+            return Promise.resolve(createResult(pacingFailureReason))
+        }
+
+        return this.#waitForResult(
+            EVENT_NAME.INTERSTITIAL_STATE_CHANGED,
+            INTERSTITIAL_STATE,
+            () => this._platformBridge.showInterstitial(options),
+        )
     }
 
     showRewarded(options) {
         if (this.#hasAdvertisementInProgress()) {
-            return
+            return Promise.resolve(createResult(ADVERTISEMENT_RESULT_REASON.IN_PROGRESS))
         }
 
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                this.showRewarded(platformDependedOptions)
-                return
+        this._platformBridge._setRewardedState(REWARDED_STATE.LOADING)
+
+        const pacingFailureReason = this.#getPacingFailureReason(AD_TYPE.REWARDED)
+        if (pacingFailureReason) {
+            this._platformBridge._setRewardedState(REWARDED_STATE.FAILED)
+            return Promise.resolve(createResult(pacingFailureReason))
+        }
+
+        return this.#waitForResult(
+            EVENT_NAME.REWARDED_STATE_CHANGED,
+            REWARDED_STATE,
+            () => this._platformBridge.showRewarded(options),
+        )
+    }
+
+    isInterstitialAvailable(callOptions) {
+        if (this.#hasAdvertisementInProgress() || this.#isInterstitialDelayActive()
+            || this.#getPacingFailureReason(AD_TYPE.INTERSTITIAL)) {
+            return Promise.resolve(false)
+        }
+
+        return this.#preloadInterstitial(callOptions).then(() => true, () => false)
+    }
+
+    preloadInterstitial(callOptions) {
+        return this.#preloadInterstitial(callOptions)
+    }
+
+    isRewardedAvailable(callOptions) {
+        if (this.#hasAdvertisementInProgress() || this.#getPacingFailureReason(AD_TYPE.REWARDED)) {
+            return Promise.resolve(false)
+        }
+
+        return this.#preloadRewarded(callOptions).then(() => true, () => false)
+    }
+
+    preloadRewarded(callOptions) {
+        return this.#preloadRewarded(callOptions)
+    }
+
+    checkAdBlock(callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.ADBLOCK_DETECT,
+            callOptions,
+            () => this._platformBridge.checkAdBlock(),
+        )
+    }
+
+    _destroy() {
+        window.removeEventListener('pagehide', this.#onPageHide)
+        if (this.#interstitialTimer) {
+            this.#interstitialTimer.stop()
+            this.#interstitialTimer = null
+        }
+
+        this.#pendingResults.forEach((finish) => finish(ADVERTISEMENT_RESULT_REASON.DESTROYED))
+        this.#pendingResults = []
+
+        super._destroy()
+    }
+
+    #preloadInterstitial(callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.PRELOAD_INTERSTITIAL,
+            callOptions,
+            () => this._platformBridge.preloadInterstitial(),
+        )
+    }
+
+    #preloadRewarded(callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.PRELOAD_REWARDED,
+            callOptions,
+            () => this._platformBridge.preloadRewarded(),
+        )
+    }
+
+    // Minimum delay of interstitials is kept by the interstitial timer
+    #getPacingFailureReason(adType) {
+        const policy = this.#pacingPolicy[adType]
+        if (!isPlainObject(policy)) {
+            return null
+        }
+
+        const now = Date.now()
+        if (policy.gracePeriod > 0 && now - this.#sessionStartedAt < policy.gracePeriod * 1000) {
+            return ADVERTISEMENT_RESULT_REASON.GRACE_PERIOD
+        }
+
+        if (typeof policy.maxPerSession === 'number' && this.#sessionShowCounts[adType] >= policy.maxPerSession) {
+            return ADVERTISEMENT_RESULT_REASON.SESSION_LIMIT
+        }
+
+        if (typeof policy.maxPerDay === 'number' && this.#getDailyShowCounts()[adType] >= policy.maxPerDay) {
+            return ADVERTISEMENT_RESULT_REASON.DAILY_LIMIT
+        }
+
+        if (adType === AD_TYPE.REWARDED && policy.minimumDelay > 0 && this.#lastRewardedClosedAt > 0
+            && now - this.#lastRewardedClosedAt < policy.minimumDelay * 1000) {
+            return ADVERTISEMENT_RESULT_REASON.MINIMUM_DELAY
+        }
+
+        return null
+    }
+
+    #countShow(adType) {
+        this.#sessionShowCounts[adType] += 1
+
+        const dailyShowCounts = this.#getDailyShowCounts()
+        dailyShowCounts[adType] += 1
+        this.#writeToLocalStorage(DAILY_SHOW_COUNTS_STORAGE_KEY, dailyShowCounts)
+    }
+
+    // Days are counted in the local time of the player
+    #getDailyShowCounts() {
+        const date = new Date().toDateString()
+        if (!this.#dailyShowCounts || this.#dailyShowCounts.date !== date) {
+            const savedCounts = this.#readFromLocalStorage(DAILY_SHOW_COUNTS_STORAGE_KEY)
+            this.#dailyShowCounts = {
+                date,
+                [AD_TYPE.INTERSTITIAL]: 0,
+                [AD_TYPE.REWARDED]: 0,
+                ...(savedCounts && savedCounts.date === date ? savedCounts : null),
             }
         }
 
-        this._platformBridge._setRewardedState(REWARDED_STATE.LOADING)
-        this._platformBridge.showRewarded(options)
+        return this.#dailyShowCounts
+    }
+
+    #isInterstitialDelayActive() {
+        return !!this.#interstitialTimer && this.#interstitialTimer.state !== TIMER_STATE.COMPLETED
+    }
+
+    #startInterstitialTimer(delay = this.#minimumDelayBetweenInterstitial, timeLeft = delay) {
+        this.#interstitialTimer = new Timer(delay, { pauseWhileHidden: this.#isInterstitialDelayPausedWhileHidden })
+        this.#interstitialTimer.on(TIMER_EVENT_NAME.STATE_CHANGED, (state) => {
+            if (state === TIMER_STATE.STARTED || state === TIMER_STATE.PAUSED) {
+                this.#saveInterstitialDelay(delay, this.#interstitialTimer.timeLeft)
+            } else if (state === TIMER_STATE.COMPLETED) {
+                this.#deleteSavedInterstitialDelay()
+            }
+        })
+
+        this.#interstitialTimer.start(timeLeft)
+    }
+
+    // A cooldown paused while the page is hidden doesn't run while the page is closed either,
+    // otherwise the time the page was closed counts towards it
+    #restoreInterstitialTimer() {
+        if (!this.#isInterstitialDelayPersisted) {
+            return
+        }
+
+        const savedDelay = this.#readFromLocalStorage(INTERSTITIAL_DELAY_STORAGE_KEY)
+        if (!savedDelay || typeof savedDelay.delay !== 'number'
+            || typeof savedDelay.timeLeft !== 'number' || typeof savedDelay.savedAt !== 'number') {
+            return
+        }
+
+        const { delay } = savedDelay
+        let timeLeft = Math.min(savedDelay.timeLeft, delay)
+        if (!this.#isInterstitialDelayPausedWhileHidden) {
+            timeLeft -= Math.floor((Date.now() - savedDelay.savedAt) / 1000)
+        }
+
+        if (timeLeft > 0) {
+            this.#startInterstitialTimer(delay, timeLeft)
+        } else {
+            this.#deleteSavedInterstitialDelay()
+        }
+    }
+
+    #saveInterstitialDelay(delay, timeLeft) {
+        if (this.#isInterstitialDelayPersisted) {
+            this.#writeToLocalStorage(INTERSTITIAL_DELAY_STORAGE_KEY, { delay, timeLeft, savedAt: Date.now() })
+        }
+    }
+
+    #deleteSavedInterstitialDelay() {
+        if (this.#isInterstitialDelayPersisted) {
+            this.#deleteFromLocalStorage(INTERSTITIAL_DELAY_STORAGE_KEY)
+        }
     }
 
-    checkAdBlock() {
-        return this._platformBridge.checkAdBlock()
+    // Pacing still works for the current page when local storage is unavailable
+    #readFromLocalStorage(key) {
+        if (!this._platformBridge._localStorage) {
+            return null
+        }
+
+        try {
+            return this._platformBridge._getDataFromLocalStorage(key, true)
+        } catch (e) {
+            return null
+        }
+    }
+
+    #writeToLocalStorage(key, value) {
+        if (!this._platformBridge._localStorage) {
+            return
+        }
+
+        try {
+            this._platformBridge._setDataToLocalStorage(key, value)
+        } catch (e) {
+            // Nothing we can do with it
+        }
+    }
+
+    #deleteFromLocalStorage(key) {
+        if (!this._platformBridge._localStorage) {
+            return
+        }
+
+        try {
+            this._platformBridge._deleteDataFromLocalStorage(key)
+        } catch (e) {
+            // Nothing we can do with it
+        }
     }
 
-    #startInterstitialTimer() {
-        this.#interstitialTimer = new Timer(this.#minimumDelayBetweenInterstitial)
-        this.#interstitialTimer.start()
+    // Follows the state events of one show call, bridges may emit rewarded and closed synchronously
+    #waitForResult(eventName, states, show) {
+        return new Promise((resolve) => {
+            let shown = false
+            let rewarded = false
+            let openedAt = 0
+            let timeoutId = 0
+
+            const finish = (reason) => {
+                clearTimeout(timeoutId)
+                this._platformBridge.off(eventName, onStateChanged)
+                this.#pendingResults = this.#pendingResults.filter((pendingResult) => pendingResult !== finish)
+                resolve(createResult(reason, shown, rewarded, shown ? Date.now() - openedAt : 0))
+            }
+
+            const markShown = () => {
+                if (!shown) {
+                    shown = true
+                    openedAt = Date.now()
+                }
+            }
+
+            const onStateChanged = (state) => {
+                switch (state) {
+                    case states.OPENED: {
+                        markShown()
+                        break
+                    }
+                    case states.REWARDED: {
+                        markShown()
+                        rewarded = true
+                        break
+                    }
+                    case states.CLOSED: {
+                        markShown()
+                        finish(states === REWARDED_STATE && !rewarded
+                            ? ADVERTISEMENT_RESULT_REASON.SKIPPED
+                            : ADVERTISEMENT_RESULT_REASON.COMPLETED)
+                        break
+                    }
+                    case states.FAILED: {
+                        finish(ADVERTISEMENT_RESULT_REASON.FAILED)
+                        break
+                    }
+                    default: {
+                        break
+                    }
+                }
+            }
+
+            this.#pendingResults.push(finish)
+            this._platformBridge.on(eventName, onStateChanged)
+
+            timeoutId = setTimeout(() => {
+                finish(ADVERTISEMENT_RESULT_REASON.TIMEOUT)
+
+                // An ad that never started loading must not block the next show call
+                if (this.#getAdvertisementState(states) === states.LOADING) {
+                    this.#setAdvertisementState(states, states.FAILED)
+                }
+            }, this.#resultTimeout)
+
+            try {
+                show()
+            } catch (error) {
+                this._platformBridge._logger.error('advertisement', 'Show call failed', error)
+                finish(ADVERTISEMENT_RESULT_REASON.FAILED)
+                this.#setAdvertisementState(states, states.FAILED)
+            }
+        })
+    }
+
+    #getAdvertisementState(states) {
+        return states === REWARDED_STATE ? this.rewardedState : this.interstitialState
+    }
+
+    #setAdvertisementState(states, state) {
+        if (states === REWARDED_STATE) {
+            this._platformBridge._setRewardedState(state)
+        } else {
+            this._platformBridge._setInterstitialState(state)
+        }
     }
 
     #hasAdvertisementInProgress() {
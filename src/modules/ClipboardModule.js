@@ -1,16 +1,25 @@
 import ModuleBase from './ModuleBase'
+import { ACTION_NAME } from '../constants'
 
 class ClipboardModule extends ModuleBase {
     get isSupported() {
         return this._platformBridge.isClipboardSupported
     }
 
-    read() {
-        return this._platformBridge.clipboardRead()
+    read(callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.CLIPBOARD_READ,
+            callOptions,
+            () => this._platformBridge.clipboardRead(),
+        )
     }
 
-    write(text) {
-        return this._platformBridge.clipboardWrite(text)
+    write(text, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.CLIPBOARD_WRITE,
+            callOptions,
+            () => this._platformBridge.clipboardWrite(text),
+        )
     }
 }
 
@@ -1,19 +1,275 @@
 import EventLite from 'event-lite'
 import ModuleBase from './ModuleBase'
-import { EVENT_NAME } from '../constants'
+import {
+    EVENT_NAME,
+    VISIBILITY_STATE,
+    INTERSTITIAL_STATE,
+    REWARDED_STATE,
+    PAUSE_STATE,
+    AUDIO_STATE,
+    PLATFORM_MESSAGE,
+} from '../constants'
+
+const PAUSE_REASON = {
+    INTERSTITIAL: 'interstitial',
+    REWARDED: 'rewarded',
+    HIDDEN: 'hidden',
+}
+
+// Marks gameplay messages the auto pause sends itself, so they are not taken for the game state
+const AUTO_PAUSE_CALL_OPTIONS = Object.freeze({})
+
+const toArray = function toArray(value) {
+    if (!value) {
+        return []
+    }
+
+    return Array.isArray(value) ? [...value] : [value]
+}
 
 class GameModule extends ModuleBase {
     get visibilityState() {
         return this._platformBridge.visibilityState
     }
 
-    constructor(platformBridge) {
+    get pauseState() {
+        return this.#pauseReasons.length > 0 ? PAUSE_STATE.PAUSED : PAUSE_STATE.RESUMED
+    }
+
+    get audioState() {
+        return this.#pauseReasons.length > 0 ? AUDIO_STATE.MUTED : AUDIO_STATE.UNMUTED
+    }
+
+    get isAutoPauseEnabled() {
+        return this.#autoPauseOptions !== null
+    }
+
+    _optionsArguments = {
+        enableAutoPause: 0,
+    }
+
+    _stateEvents = {
+        [EVENT_NAME.VISIBILITY_STATE_CHANGED]: 'visibilityState',
+        [EVENT_NAME.PAUSE_STATE_CHANGED]: 'pauseState',
+        [EVENT_NAME.AUDIO_STATE_CHANGED]: 'audioState',
+    }
+
+    #autoPauseOptions = null
+
+    #pauseReasons = []
+
+    #suspendedAudioContexts = []
+
+    #mutedMediaElements = []
+
+    #platformModule
+
+    #isGameplayStarted = false
+
+    #isGameplayStoppedByAutoPause = false
+
+    constructor(platformBridge, options, platformModule) {
         super(platformBridge)
 
+        this.#platformModule = platformModule
+        this.#platformModule._setGameplayMessageListener(
+            (message, callOptions) => this.#onGameplayMessage(message, callOptions),
+        )
+
         this._platformBridge.on(
             EVENT_NAME.VISIBILITY_STATE_CHANGED,
-            (state) => this.emit(EVENT_NAME.VISIBILITY_STATE_CHANGED, state),
+            (state) => {
+                this._emitEvent(EVENT_NAME.VISIBILITY_STATE_CHANGED, state)
+                this.#updatePauseReason(PAUSE_REASON.HIDDEN, state === VISIBILITY_STATE.HIDDEN)
+            },
+        )
+
+        this._platformBridge.on(
+            EVENT_NAME.INTERSTITIAL_STATE_CHANGED,
+            (state) => this.#updatePauseReason(PAUSE_REASON.INTERSTITIAL, state === INTERSTITIAL_STATE.OPENED),
+        )
+
+        this._platformBridge.on(
+            EVENT_NAME.REWARDED_STATE_CHANGED,
+            (state) => this.#updatePauseReason(
+                PAUSE_REASON.REWARDED,
+                state === REWARDED_STATE.OPENED || state === REWARDED_STATE.REWARDED,
+            ),
+        )
+
+        const resolvedOptions = this._resolveOptions(options)
+        if (resolvedOptions && resolvedOptions.autoPause) {
+            this.enableAutoPause(resolvedOptions.autoPause === true ? {} : resolvedOptions.autoPause)
+        }
+    }
+
+    // Options: audioContext, mediaElements, pauseOnAdvertisement, pauseOnHidden, sendGameplayMessages,
+    // calling it again replaces the options of the running controller
+    enableAutoPause(options) {
+        const autoPauseOptions = options || {}
+        if (this.isAutoPauseEnabled) {
+            this.#restoreAudio()
+        }
+
+        this.#autoPauseOptions = {
+            audioContexts: toArray(autoPauseOptions.audioContext),
+            mediaElements: toArray(autoPauseOptions.mediaElements),
+            pauseOnAdvertisement: autoPauseOptions.pauseOnAdvertisement !== false,
+            pauseOnHidden: autoPauseOptions.pauseOnHidden !== false,
+            sendGameplayMessages: autoPauseOptions.sendGameplayMessages !== false,
+        }
+
+        const previousPauseState = this.pauseState
+        this.#pauseReasons = []
+        this.#updatePauseReason(PAUSE_REASON.HIDDEN, this.visibilityState === VISIBILITY_STATE.HIDDEN, false)
+        this.#updatePauseReason(
+            PAUSE_REASON.INTERSTITIAL,
+            this._platformBridge.interstitialState === INTERSTITIAL_STATE.OPENED,
+            false,
+        )
+        this.#updatePauseReason(
+            PAUSE_REASON.REWARDED,
+            this._platformBridge.rewardedState === REWARDED_STATE.OPENED
+                || this._platformBridge.rewardedState === REWARDED_STATE.REWARDED,
+            false,
         )
+
+        if (this.pauseState === PAUSE_STATE.PAUSED) {
+            this.#muteAudio()
+        }
+
+        if (this.pauseState !== previousPauseState) {
+            this.#onPauseStateChanged()
+        }
+    }
+
+    disableAutoPause() {
+        if (!this.isAutoPauseEnabled) {
+            return
+        }
+
+        const wasPaused = this.pauseState === PAUSE_STATE.PAUSED
+        this.#restoreAudio()
+        this.#pauseReasons = []
+
+        if (wasPaused) {
+            this.#onPauseStateChanged()
+        }
+
+        this.#autoPauseOptions = null
+    }
+
+    _destroy() {
+        this.#restoreAudio()
+        this.#autoPauseOptions = null
+        this.#pauseReasons = []
+        this.#isGameplayStarted = false
+        this.#isGameplayStoppedByAutoPause = false
+
+        super._destroy()
+    }
+
+    #updatePauseReason(reason, isActive, isNotified = true) {
+        if (!this.isAutoPauseEnabled) {
+            return
+        }
+
+        const { pauseOnAdvertisement, pauseOnHidden } = this.#autoPauseOptions
+        const isEnabled = reason === PAUSE_REASON.HIDDEN ? pauseOnHidden : pauseOnAdvertisement
+        const hasReason = this.#pauseReasons.includes(reason)
+        if ((isActive && isEnabled) === hasReason) {
+            return
+        }
+
+        const wasPaused = this.#pauseReasons.length > 0
+        this.#pauseReasons = hasReason
+            ? this.#pauseReasons.filter((pauseReason) => pauseReason !== reason)
+            : [...this.#pauseReasons, reason]
+
+        const isPaused = this.#pauseReasons.length > 0
+        if (!isNotified || isPaused === wasPaused) {
+            return
+        }
+
+        if (isPaused) {
+            this.#muteAudio()
+        } else {
+            this.#restoreAudio()
+        }
+
+        this.#onPauseStateChanged()
+    }
+
+    #onPauseStateChanged() {
+        const { pauseState } = this
+        this._platformBridge._logger.debug('game', `Auto pause: ${pauseState}`, this.#pauseReasons)
+
+        this.#sendGameplayMessage(pauseState === PAUSE_STATE.PAUSED)
+        this._emitEvent(EVENT_NAME.PAUSE_STATE_CHANGED, pauseState)
+        this._emitEvent(EVENT_NAME.AUDIO_STATE_CHANGED, this.audioState)
+    }
+
+    #sendGameplayMessage(isPaused) {
+        if (!this.#autoPauseOptions.sendGameplayMessages) {
+            return
+        }
+
+        // Only gameplay the game has started is stopped, and only gameplay stopped here is started again
+        let message
+        if (isPaused && this.#isGameplayStarted && !this.#isGameplayStoppedByAutoPause) {
+            message = PLATFORM_MESSAGE.GAMEPLAY_STOPPED
+            this.#isGameplayStoppedByAutoPause = true
+        } else if (!isPaused && this.#isGameplayStoppedByAutoPause) {
+            message = PLATFORM_MESSAGE.GAMEPLAY_STARTED
+            this.#isGameplayStoppedByAutoPause = false
+        } else {
+            return
+        }
+
+        // Platforms without gameplay messages reject them, the pause itself still works
+        Promise.resolve()
+            .then(() => this.#platformModule.sendMessage(message, AUTO_PAUSE_CALL_OPTIONS))
+            .catch(() => { })
+    }
+
+    // A gameplay message of the game during the pause cancels the pending resume of gameplay
+    #onGameplayMessage(message, callOptions) {
+        if (callOptions === AUTO_PAUSE_CALL_OPTIONS) {
+            return
+        }
+
+        this.#isGameplayStarted = message === PLATFORM_MESSAGE.GAMEPLAY_STARTED
+        this.#isGameplayStoppedByAutoPause = false
+    }
+
+    // Only what was playing is muted, so it is restored without touching audio the game muted itself
+    #muteAudio() {
+        const { audioContexts, mediaElements } = this.#autoPauseOptions
+
+        this.#suspendedAudioContexts = audioContexts.filter((audioContext) => audioContext.state === 'running')
+        this.#suspendedAudioContexts.forEach((audioContext) => {
+            audioContext.suspend().catch(() => { })
+        })
+
+        this.#mutedMediaElements = mediaElements.filter((mediaElement) => !mediaElement.muted)
+        this.#mutedMediaElements.forEach((mediaElement) => {
+            // eslint-disable-next-line no-param-reassign
+            mediaElement.muted = true
+        })
+    }
+
+    #restoreAudio() {
+        this.#suspendedAudioContexts.forEach((audioContext) => {
+            audioContext.resume().catch(() => { })
+        })
+
+        this.#mutedMediaElements.forEach((mediaElement) => {
+            // eslint-disable-next-line no-param-reassign
+            mediaElement.muted = false
+        })
+
+        this.#suspendedAudioContexts = []
+        this.#mutedMediaElements = []
     }
 }
 
@@ -1,4 +1,5 @@
 import ModuleBase from './ModuleBase'
+import { ACTION_NAME } from '../constants'
 
 class LeaderboardModule extends ModuleBase {
     get isSupported() {
@@ -25,48 +26,43 @@ class LeaderboardModule extends ModuleBase {
         return this._platformBridge.isLeaderboardGetEntriesSupported
     }
 
-    setScore(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.setScore(platformDependedOptions)
-            }
-        }
-
-        return this._platformBridge.setLeaderboardScore(options)
+    _optionsArguments = {
+        setScore: 0,
+        getScore: 0,
+        getEntries: 0,
+        showNativePopup: 0,
     }
 
-    getScore(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.getScore(platformDependedOptions)
-            }
-        }
-
-        return this._platformBridge.getLeaderboardScore(options)
+    setScore(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.SET_LEADERBOARD_SCORE,
+            callOptions,
+            () => this._platformBridge.setLeaderboardScore(options),
+        )
     }
 
-    getEntries(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.getEntries(platformDependedOptions)
-            }
-        }
-
-        return this._platformBridge.getLeaderboardEntries(options)
+    getScore(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.GET_LEADERBOARD_SCORE,
+            callOptions,
+            () => this._platformBridge.getLeaderboardScore(options),
+        )
     }
 
-    showNativePopup(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.showNativePopup(platformDependedOptions)
-            }
-        }
+    getEntries(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.GET_LEADERBOARD_ENTRIES,
+            callOptions,
+            () => this._platformBridge.getLeaderboardEntries(options),
+        )
+    }
 
-        return this._platformBridge.showLeaderboardNativePopup(options)
+    showNativePopup(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.SHOW_LEADERBOARD_NATIVE_POPUP,
+            callOptions,
+            () => this._platformBridge.showLeaderboardNativePopup(options),
+        )
     }
 }
 
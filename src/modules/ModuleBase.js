@@ -1,13 +1,169 @@
+import { LOG_LEVEL, PLATFORM_GROUP_MEMBERS, DEFAULT_OPTIONS_KEY } from '../constants'
+import { deepMerge, isPlainObject } from '../common/utils'
+
+const EVENT_METHODS = ['on', 'once', 'off', 'emit']
+
 class ModuleBase {
     _platformBridge
 
+    // Event name to the getter holding its current state, used to replay state to late listeners
+    _stateEvents = {}
+
+    // Method name to the index of its platform depended options argument,
+    // the argument is resolved before the call, so methods receive the options for the current platform
+    _optionsArguments = {}
+
+    #eventBusListener = null
+
+    #moduleName = null
+
+    #middlewares = []
+
+    #activeMethodName = null
+
     constructor(platformBridge) {
         this._platformBridge = platformBridge
+        this.#interceptMethods()
     }
 
     initialize() {
         return Promise.resolve()
     }
+
+    onState(eventName, listener, options = {}) {
+        const { replay = true } = options
+        this.on(eventName, listener)
+
+        const stateGetter = this._stateEvents[eventName]
+        if (replay && stateGetter) {
+            const state = this[stateGetter]
+            if (state !== null && typeof state !== 'undefined') {
+                listener(state)
+            }
+        }
+
+        return this
+    }
+
+    _destroy() {
+        if (typeof this.off === 'function') {
+            this.off()
+        }
+
+        this.#eventBusListener = null
+    }
+
+    _setEventBusListener(listener) {
+        this.#eventBusListener = listener
+    }
+
+    _emitEvent(eventName, data) {
+        if (typeof this.emit === 'function') {
+            this.emit(eventName, data)
+        }
+
+        if (this.#eventBusListener) {
+            this.#eventBusListener(eventName, data)
+        }
+    }
+
+    _setMiddlewares(moduleName, middlewares) {
+        this.#moduleName = moduleName
+        this.#middlewares = middlewares
+    }
+
+    // Options like { default, vk_family, vk } are deep merged from the least to the most specific block,
+    // options without any block for the current platform are passed as is
+    _resolveOptions(options) {
+        if (!isPlainObject(options)) {
+            return options
+        }
+
+        const { platformId } = this._platformBridge
+        const groups = Object.keys(PLATFORM_GROUP_MEMBERS)
+            .filter((group) => PLATFORM_GROUP_MEMBERS[group].includes(platformId))
+
+        const blocks = [DEFAULT_OPTIONS_KEY, ...groups, platformId]
+            .filter((key) => typeof options[key] !== 'undefined')
+            .map((key) => options[key])
+
+        if (blocks.length === 0) {
+            return options
+        }
+
+        return blocks.reduce((result, block) => deepMerge(result, block), undefined)
+    }
+
+    _runWithCallOptions(actionName, callOptions, call) {
+        return this._platformBridge._runWithCallOptions(actionName, callOptions, call)
+    }
+
+    #interceptMethods() {
+        let prototype = Object.getPrototypeOf(this)
+        while (prototype && prototype !== ModuleBase.prototype) {
+            Object.getOwnPropertyNames(prototype).forEach((methodName) => {
+                const { value } = Object.getOwnPropertyDescriptor(prototype, methodName)
+                if (typeof value !== 'function'
+                    || methodName === 'constructor'
+                    || methodName.startsWith('_')
+                    || EVENT_METHODS.includes(methodName)
+                    || Object.prototype.hasOwnProperty.call(this, methodName)) {
+                    return
+                }
+
+                this[methodName] = (...args) => this.#callWithMiddlewares(methodName, value, args)
+            })
+
+            prototype = Object.getPrototypeOf(prototype)
+        }
+    }
+
+    #callWithMiddlewares(methodName, method, args) {
+        const optionsIndex = this._optionsArguments[methodName]
+        const resolvedArgs = [...args]
+        if (typeof optionsIndex === 'number') {
+            resolvedArgs[optionsIndex] = this._resolveOptions(resolvedArgs[optionsIndex])
+        }
+
+        const logger = this._platformBridge._logger
+        const isLogged = logger.isEnabled(LOG_LEVEL.DEBUG)
+
+        // Calls a method makes on itself are already intercepted
+        if ((this.#middlewares.length === 0 && !isLogged) || this.#activeMethodName === methodName) {
+            return method.apply(this, resolvedArgs)
+        }
+
+        const context = {
+            moduleName: this.#moduleName,
+            methodName,
+            args: resolvedArgs,
+            options: typeof optionsIndex === 'number' ? resolvedArgs[optionsIndex] : undefined,
+        }
+
+        const middlewares = [...this.#middlewares]
+        const next = (index) => {
+            if (index < middlewares.length) {
+                return middlewares[index](context, () => next(index + 1))
+            }
+
+            if (typeof optionsIndex === 'number') {
+                context.args[optionsIndex] = context.options
+            }
+
+            if (isLogged) {
+                logger.debug(this.#moduleName, `${methodName}()`, { args: context.args, options: context.options })
+            }
+
+            this.#activeMethodName = methodName
+            try {
+                return method.apply(this, context.args)
+            } finally {
+                this.#activeMethodName = null
+            }
+        }
+
+        return next(0)
+    }
 }
 
 export default ModuleBase
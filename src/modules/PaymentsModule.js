@@ -1,38 +1,46 @@
 import ModuleBase from './ModuleBase'
+import { ACTION_NAME } from '../constants'
 
 class PaymentsModule extends ModuleBase {
     get isSupported() {
         return this._platformBridge.isPaymentsSupported
     }
 
-    purchase(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.purchase(platformDependedOptions)
-            }
-        }
-
-        return this._platformBridge.purchase(options)
+    _optionsArguments = {
+        purchase: 0,
+        consumePurchase: 0,
     }
 
-    getPurchases() {
-        return this._platformBridge.getPaymentsPurchases()
+    purchase(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.PURCHASE,
+            callOptions,
+            () => this._platformBridge.purchase(options),
+        )
     }
 
-    getCatalog() {
-        return this._platformBridge.getPaymentsCatalog()
+    getPurchases(callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.GET_PURCHASES,
+            callOptions,
+            () => this._platformBridge.getPaymentsPurchases(),
+        )
     }
 
-    consumePurchase(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.consumePurchase(platformDependedOptions)
-            }
-        }
+    getCatalog(callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.GET_CATALOG,
+            callOptions,
+            () => this._platformBridge.getPaymentsCatalog(),
+        )
+    }
 
-        return this._platformBridge.consumePurchase(options)
+    consumePurchase(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.CONSUME_PURCHASE,
+            callOptions,
+            () => this._platformBridge.consumePurchase(options),
+        )
     }
 }
 
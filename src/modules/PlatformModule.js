@@ -1,4 +1,6 @@
+import EventLite from 'event-lite'
 import ModuleBase from './ModuleBase'
+import { ACTION_NAME, EVENT_NAME, PLATFORM_MESSAGE } from '../constants'
 
 class PlatformModule extends ModuleBase {
     get id() {
@@ -21,13 +23,68 @@ class PlatformModule extends ModuleBase {
         return this._platformBridge.platformTld
     }
 
-    sendMessage(message) {
-        return this._platformBridge.sendMessage(message)
+    get detectionReport() {
+        return this._platformBridge.detectionReport
     }
 
-    getServerTime() {
-        return this._platformBridge.getServerTime()
+    get capabilities() {
+        return this._platformBridge.capabilities
+    }
+
+    get pendingRequests() {
+        return this._platformBridge.pendingRequests
+    }
+
+    get loadedScripts() {
+        return this._platformBridge.loadedScripts
+    }
+
+    get recentErrors() {
+        return this._platformBridge.recentErrors
+    }
+
+    #gameplayMessageListener = null
+
+    constructor(platformBridge) {
+        super(platformBridge)
+
+        this._platformBridge.on(
+            EVENT_NAME.CAPABILITIES_CHANGED,
+            (capabilities) => this._emitEvent(EVENT_NAME.CAPABILITIES_CHANGED, capabilities),
+        )
+    }
+
+    sendMessage(message, callOptions) {
+        const isGameplayMessage = message === PLATFORM_MESSAGE.GAMEPLAY_STARTED
+            || message === PLATFORM_MESSAGE.GAMEPLAY_STOPPED
+        if (isGameplayMessage && this.#gameplayMessageListener) {
+            this.#gameplayMessageListener(message, callOptions)
+        }
+
+        return this._runWithCallOptions(
+            ACTION_NAME.SEND_MESSAGE,
+            callOptions,
+            () => this._platformBridge.sendMessage(message),
+        )
+    }
+
+    getServerTime(callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.GET_SERVER_TIME,
+            callOptions,
+            () => this._platformBridge.getServerTime(),
+        )
+    }
+
+    _setGameplayMessageListener(listener) {
+        this.#gameplayMessageListener = listener
+    }
+
+    _destroy() {
+        this.#gameplayMessageListener = null
+        super._destroy()
     }
 }
 
+EventLite.mixin(PlatformModule.prototype)
 export default PlatformModule
@@ -1,4 +1,6 @@
+import EventLite from 'event-lite'
 import ModuleBase from './ModuleBase'
+import { ACTION_NAME, EVENT_NAME } from '../constants'
 
 class PlayerModule extends ModuleBase {
     get isAuthorizationSupported() {
@@ -21,16 +23,48 @@ class PlayerModule extends ModuleBase {
         return this._platformBridge.playerPhotos
     }
 
-    authorize(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.authorize(platformDependedOptions)
-            }
-        }
+    _optionsArguments = {
+        authorize: 0,
+    }
+
+    _stateEvents = {
+        [EVENT_NAME.AUTHORIZATION_STATE_CHANGED]: 'isAuthorized',
+    }
+
+    #isAuthorized
+
+    constructor(platformBridge) {
+        super(platformBridge)
+
+        this.#isAuthorized = this.isAuthorized
+
+        // Platforms set the flag directly, capability refreshes are where a change becomes visible
+        this._platformBridge.on(
+            EVENT_NAME.CAPABILITIES_CHANGED,
+            (capabilities) => {
+                const { isAuthorized } = capabilities.player
+                if (this.#isAuthorized === isAuthorized) {
+                    return
+                }
+
+                this.#isAuthorized = isAuthorized
+                this._emitEvent(EVENT_NAME.AUTHORIZATION_STATE_CHANGED, isAuthorized)
+
+                if (isAuthorized) {
+                    this._emitEvent(EVENT_NAME.PLAYER_AUTHORIZED)
+                }
+            },
+        )
+    }
 
-        return this._platformBridge.authorizePlayer(options)
+    authorize(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.AUTHORIZE_PLAYER,
+            callOptions,
+            () => this._platformBridge.authorizePlayer(options),
+        )
     }
 }
 
+EventLite.mixin(PlayerModule.prototype)
 export default PlayerModule
@@ -1,18 +1,21 @@
 import ModuleBase from './ModuleBase'
+import { ACTION_NAME } from '../constants'
 
 class RemoteConfigModule extends ModuleBase {
     get isSupported() {
         return this._platformBridge.isRemoteConfigSupported
     }
 
-    get(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.get(platformDependedOptions)
-            }
-        }
-        return this._platformBridge.getRemoteConfig(options)
+    _optionsArguments = {
+        get: 0,
+    }
+
+    get(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.GET_REMOTE_CONFIG,
+            callOptions,
+            () => this._platformBridge.getRemoteConfig(options),
+        )
     }
 }
 
@@ -1,4 +1,5 @@
 import ModuleBase from './ModuleBase'
+import { ACTION_NAME } from '../constants'
 
 class SocialModule extends ModuleBase {
     get isInviteFriendsSupported() {
@@ -33,60 +34,67 @@ class SocialModule extends ModuleBase {
         return this._platformBridge.isExternalLinksAllowed
     }
 
-    inviteFriends(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.inviteFriends(platformDependedOptions)
-            }
-        }
-
-        return this._platformBridge.inviteFriends(options)
+    _optionsArguments = {
+        inviteFriends: 0,
+        joinCommunity: 0,
+        share: 0,
+        createPost: 0,
     }
 
-    joinCommunity(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.joinCommunity(platformDependedOptions)
-            }
-        }
-
-        return this._platformBridge.joinCommunity(options)
+    inviteFriends(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.INVITE_FRIENDS,
+            callOptions,
+            () => this._platformBridge.inviteFriends(options),
+        )
     }
 
-    share(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.share(platformDependedOptions)
-            }
-        }
-
-        return this._platformBridge.share(options)
+    joinCommunity(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.JOIN_COMMUNITY,
+            callOptions,
+            () => this._platformBridge.joinCommunity(options),
+        )
     }
 
-    createPost(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.createPost(platformDependedOptions)
-            }
-        }
+    share(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.SHARE,
+            callOptions,
+            () => this._platformBridge.share(options),
+        )
+    }
 
-        return this._platformBridge.createPost(options)
+    createPost(options, callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.CREATE_POST,
+            callOptions,
+            () => this._platformBridge.createPost(options),
+        )
     }
 
-    addToHomeScreen() {
-        return this._platformBridge.addToHomeScreen()
+    addToHomeScreen(callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.ADD_TO_HOME_SCREEN,
+            callOptions,
+            () => this._platformBridge.addToHomeScreen(),
+        )
     }
 
-    addToFavorites() {
-        return this._platformBridge.addToFavorites()
+    addToFavorites(callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.ADD_TO_FAVORITES,
+            callOptions,
+            () => this._platformBridge.addToFavorites(),
+        )
     }
 
-    rate() {
-        return this._platformBridge.rate()
+    rate(callOptions) {
+        return this._runWithCallOptions(
+            ACTION_NAME.RATE,
+            callOptions,
+            () => this._platformBridge.rate(),
+        )
     }
 }
 
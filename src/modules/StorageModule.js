@@ -1,91 +1,87 @@
+import EventLite from 'event-lite'
 import ModuleBase from './ModuleBase'
+import { ACTION_NAME, ERROR, EVENT_NAME } from '../constants'
 
 class StorageModule extends ModuleBase {
     get defaultType() {
         return this._platformBridge.defaultStorageType
     }
 
-    isSupported(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.isSupported(platformDependedOptions)
-            }
-        }
+    _optionsArguments = {
+        isSupported: 0,
+        isAvailable: 0,
+        get: 1,
+        set: 2,
+        delete: 1,
+    }
 
+    isSupported(options) {
         return this._platformBridge.isStorageSupported(options)
     }
 
     isAvailable(options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.isSupported(platformDependedOptions)
-            }
-        }
-
         return this._platformBridge.isStorageAvailable(options)
     }
 
-    get(key, options, tryParseJson = true) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.get(key, platformDependedOptions, tryParseJson)
-            }
-        }
-
+    get(key, options, tryParseJson = true, callOptions) {
         let storageType = options
         if (!storageType) {
             storageType = this.defaultType
         }
 
         if (!this._platformBridge.isStorageAvailable(storageType)) {
-            return Promise.reject()
+            return this._platformBridge._rejectWithError(ERROR.STORAGE_NOT_AVAILABLE, ACTION_NAME.GET_STORAGE_DATA)
         }
 
-        return this._platformBridge.getDataFromStorage(key, storageType, tryParseJson)
+        return this._runWithCallOptions(
+            ACTION_NAME.GET_STORAGE_DATA,
+            callOptions,
+            () => this._platformBridge.getDataFromStorage(key, storageType, tryParseJson),
+        )
     }
 
-    set(key, value, options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.set(key, value, platformDependedOptions)
-            }
-        }
-
+    set(key, value, options, callOptions) {
         let storageType = options
         if (!storageType) {
             storageType = this.defaultType
         }
 
         if (!this._platformBridge.isStorageAvailable(storageType)) {
-            return Promise.reject()
+            return this._platformBridge._rejectWithError(ERROR.STORAGE_NOT_AVAILABLE, ACTION_NAME.SET_STORAGE_DATA)
         }
 
-        return this._platformBridge.setDataToStorage(key, value, storageType)
+        return this._runWithCallOptions(
+            ACTION_NAME.SET_STORAGE_DATA,
+            callOptions,
+            () => this._platformBridge.setDataToStorage(key, value, storageType),
+        )
+            .then((result) => {
+                this._emitEvent(EVENT_NAME.STORAGE_CHANGED, { actionName: ACTION_NAME.SET_STORAGE_DATA, key, storageType })
+                return result
+            })
     }
 
-    delete(key, options) {
-        if (options) {
-            const platformDependedOptions = options[this._platformBridge.platformId]
-            if (platformDependedOptions) {
-                return this.delete(key, platformDependedOptions)
-            }
-        }
-
+    delete(key, options, callOptions) {
         let storageType = options
         if (!storageType) {
             storageType = this.defaultType
         }
 
         if (!this._platformBridge.isStorageAvailable(storageType)) {
-            return Promise.reject()
+            return this._platformBridge._rejectWithError(ERROR.STORAGE_NOT_AVAILABLE, ACTION_NAME.DELETE_STORAGE_DATA)
         }
 
-        return this._platformBridge.deleteDataFromStorage(key, storageType)
+        return this._runWithCallOptions(
+            ACTION_NAME.DELETE_STORAGE_DATA,
+            callOptions,
+            () => this._platformBridge.deleteDataFromStorage(key, storageType),
+        )
+            .then((result) => {
+                this._emitEvent(EVENT_NAME.STORAGE_CHANGED, { actionName: ACTION_NAME.DELETE_STORAGE_DATA, key, storageType })
+                return result
+            })
     }
 }
 
+EventLite.mixin(StorageModule.prototype)
 export default StorageModule
@@ -1,11 +1,11 @@
 import PlatformBridgeBase from './PlatformBridgeBase'
-import { addJavaScript } from '../common/utils'
 import {
     PLATFORM_ID,
     ACTION_NAME,
     INTERSTITIAL_STATE,
     REWARDED_STATE,
     STORAGE_TYPE,
+    ERROR,
 } from '../constants'
 
 const SDK_URL = 'https://unpkg.com/@agru/sdk/dist/umd/index.min.js'
@@ -35,57 +35,76 @@ class AbsoluteGamesPlatformBridge extends PlatformBridgeBase {
         if (!promiseDecorator) {
             promiseDecorator = this._createPromiseDecorator(ACTION_NAME.INITIALIZE)
 
-            addJavaScript(SDK_URL).then(() => {
-                this._platformSdk = new window.AgRuSdk()
+            this._loadScript(SDK_URL)
+                .then(() => {
+                    this._platformSdk = new window.AgRuSdk()
 
-                this._platformSdk.on(window.AgRuSdkMethods.ShowCampaign, (data, error) => {
-                    switch (data.type) {
-                        case 'rewarded': {
-                            if (error === null) {
-                                if (data.status) {
-                                    this._setRewardedState(REWARDED_STATE.OPENED)
-                                } else {
-                                    if (data.reward) {
-                                        this._setRewardedState(REWARDED_STATE.REWARDED)
-                                    }
+                    // The SDK may have no way to unsubscribe, so the handler also ignores campaigns after destroy
+                    let isDestroyed = false
+                    const showCampaignHandler = (data, error) => {
+                        if (isDestroyed) {
+                            return
+                        }
 
-                                    this._setRewardedState(REWARDED_STATE.CLOSED)
+                        switch (data.type) {
+                            case 'rewarded': {
+                                if (error === null) {
+                                    if (data.status) {
+                                        this._setRewardedState(REWARDED_STATE.OPENED)
+                                    } else {
+                                        if (data.reward) {
+                                            this._setRewardedState(REWARDED_STATE.REWARDED)
+                                        }
+
+                                        this._setRewardedState(REWARDED_STATE.CLOSED)
+                                    }
+                                } else {
+                                    this._setRewardedState(REWARDED_STATE.FAILED)
                                 }
-                            } else {
-                                this._setRewardedState(REWARDED_STATE.FAILED)
+                                break
                             }
-                            break
-                        }
-                        case 'default': // A valid value for the property, just to denote it
-                        default: {
-                            if (error === null) {
-                                if (data.status) {
-                                    this._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+                            case 'default': // A valid value for the property, just to denote it
+                            default: {
+                                if (error === null) {
+                                    if (data.status) {
+                                        this._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+                                    } else {
+                                        this._setInterstitialState(INTERSTITIAL_STATE.CLOSED)
+                                    }
                                 } else {
-                                    this._setInterstitialState(INTERSTITIAL_STATE.CLOSED)
+                                    this._setInterstitialState(INTERSTITIAL_STATE.FAILED)
                                 }
-                            } else {
-                                this._setInterstitialState(INTERSTITIAL_STATE.FAILED)
+                                break
                             }
-                            break
                         }
                     }
-                })
 
-                const getPlayerInfoPromise = this.#getPlayerInfo()
+                    const showCampaignMethod = window.AgRuSdkMethods.ShowCampaign
+                    this._platformSdk.on(showCampaignMethod, showCampaignHandler)
+                    this._onDestroy(() => {
+                        isDestroyed = true
+                        if (typeof this._platformSdk.off === 'function') {
+                            this._platformSdk.off(showCampaignMethod, showCampaignHandler)
+                        }
+                    })
 
-                Promise
-                    .all([getPlayerInfoPromise])
-                    .finally(() => {
-                        this._isInitialized = true
+                    const getPlayerInfoPromise = this.#getPlayerInfo()
 
-                        this._defaultStorageType = this._isPlayerAuthorized
-                            ? STORAGE_TYPE.PLATFORM_INTERNAL
-                            : STORAGE_TYPE.LOCAL_STORAGE
+                    Promise
+                        .all([getPlayerInfoPromise])
+                        .finally(() => {
+                            this._isInitialized = true
 
-                        this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
-                    })
-            })
+                            this._defaultStorageType = this._isPlayerAuthorized
+                                ? STORAGE_TYPE.PLATFORM_INTERNAL
+                                : STORAGE_TYPE.LOCAL_STORAGE
+
+                            this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
+                        })
+                })
+                .catch((error) => {
+                    this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, error)
+                })
         }
 
         return promiseDecorator.promise
@@ -175,11 +194,11 @@ class AbsoluteGamesPlatformBridge extends PlatformBridgeBase {
 
                             resolve(typeof this._platformStorageCachedData[key] === 'undefined' ? null : this._platformStorageCachedData[key])
                         } else {
-                            reject(error)
+                            reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.GET_STORAGE_DATA, error))
                         }
                     })
                 } else {
-                    reject()
+                    reject(this._createError(ERROR.NOT_AUTHORIZED, ACTION_NAME.GET_STORAGE_DATA))
                 }
             })
         }
@@ -208,10 +227,10 @@ class AbsoluteGamesPlatformBridge extends PlatformBridgeBase {
                             this._platformStorageCachedData = data
                             resolve()
                         }
-                        reject(error)
+                        reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.SET_STORAGE_DATA, error))
                     })
                 } else {
-                    reject()
+                    reject(this._createError(ERROR.NOT_AUTHORIZED, ACTION_NAME.SET_STORAGE_DATA))
                 }
             })
         }
@@ -240,10 +259,10 @@ class AbsoluteGamesPlatformBridge extends PlatformBridgeBase {
                             this._platformStorageCachedData = data
                             resolve()
                         }
-                        reject(error)
+                        reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.DELETE_STORAGE_DATA, error))
                     })
                 } else {
-                    reject()
+                    reject(this._createError(ERROR.NOT_AUTHORIZED, ACTION_NAME.DELETE_STORAGE_DATA))
                 }
             })
         }
@@ -1,6 +1,5 @@
 import { jwtDecode } from 'jwt-decode'
 import PlatformBridgeBase from './PlatformBridgeBase'
-import { addJavaScript, waitFor } from '../common/utils'
 import {
     PLATFORM_ID,
     ACTION_NAME,
@@ -10,6 +9,7 @@ import {
     STORAGE_TYPE,
     DEVICE_TYPE,
     PLATFORM_MESSAGE,
+    ERROR,
 } from '../constants'
 
 const SDK_URL = 'https://sdk.crazygames.com/crazygames-sdk-v3.js'
@@ -63,13 +63,14 @@ class CrazyGamesPlatformBridge extends PlatformBridgeBase {
         if (!promiseDecorator) {
             promiseDecorator = this._createPromiseDecorator(ACTION_NAME.INITIALIZE)
 
-            addJavaScript(SDK_URL).then(() => {
-                waitFor('CrazyGames', 'SDK', 'init').then(() => {
+            this._loadScript(SDK_URL)
+                .then(() => this._waitFor('CrazyGames', 'SDK', 'init'))
+                .then(() => {
                     this._platformSdk = window.CrazyGames.SDK
 
                     this._defaultStorageType = STORAGE_TYPE.LOCAL_STORAGE
                     this._isBannerSupported = true
-                    this._platformSdk.init().then(() => {
+                    return this._platformSdk.init().then(() => {
                         this.#isUserAccountAvailable = this._platformSdk.user.isUserAccountAvailable
                         const getPlayerInfoPromise = this.#getPlayer()
 
@@ -81,7 +82,9 @@ class CrazyGamesPlatformBridge extends PlatformBridgeBase {
                             })
                     })
                 })
-            })
+                .catch((error) => {
+                    this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, error)
+                })
         }
 
         return promiseDecorator.promise
@@ -90,7 +93,7 @@ class CrazyGamesPlatformBridge extends PlatformBridgeBase {
     // player
     authorizePlayer() {
         if (!this.#isUserAccountAvailable) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.AUTHORIZE_PLAYER)
         }
 
         if (this._isPlayerAuthorized) {
@@ -108,7 +111,15 @@ class CrazyGamesPlatformBridge extends PlatformBridgeBase {
                         })
                 })
                 .catch((error) => {
-                    this._rejectPromiseDecorator(ACTION_NAME.AUTHORIZE_PLAYER, error)
+                    const isCancelled = error && error.code === 'userCancelled'
+                    this._rejectPromiseDecorator(
+                        ACTION_NAME.AUTHORIZE_PLAYER,
+                        this._createError(
+                            isCancelled ? ERROR.USER_CANCELLED : ERROR.PLATFORM_ERROR,
+                            ACTION_NAME.AUTHORIZE_PLAYER,
+                            error,
+                        ),
+                    )
                 })
         }
 
@@ -309,7 +320,7 @@ class CrazyGamesPlatformBridge extends PlatformBridgeBase {
 
     #getPlayer() {
         if (!this.#isUserAccountAvailable) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.AUTHORIZE_PLAYER)
         }
 
         return new Promise((resolve, reject) => {
@@ -334,7 +345,7 @@ class CrazyGamesPlatformBridge extends PlatformBridgeBase {
                     resolve()
                 })
                 .catch((error) => {
-                    reject(error)
+                    reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.AUTHORIZE_PLAYER, error))
                 })
         })
     }
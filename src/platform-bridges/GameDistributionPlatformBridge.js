@@ -1,5 +1,4 @@
 import PlatformBridgeBase from './PlatformBridgeBase'
-import { addJavaScript } from '../common/utils'
 import {
     PLATFORM_ID,
     ACTION_NAME,
@@ -34,9 +33,13 @@ class GameDistributionPlatformBridge extends PlatformBridgeBase {
             promiseDecorator = this._createPromiseDecorator(ACTION_NAME.INITIALIZE)
 
             if (!this._options || typeof this._options.gameId !== 'string') {
-                this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, ERROR.GAME_DISTRIBUTION_GAME_ID_IS_UNDEFINED)
+                this._rejectPromiseDecorator(
+                    ACTION_NAME.INITIALIZE,
+                    this._createError(ERROR.GAME_DISTRIBUTION_GAME_ID_IS_UNDEFINED, ACTION_NAME.INITIALIZE),
+                )
             } else {
                 const self = this
+                this._onDestroy(() => { delete window.GD_OPTIONS })
                 window.GD_OPTIONS = {
                     gameId: this._options.gameId,
                     onEvent(event) {
@@ -74,7 +77,10 @@ class GameDistributionPlatformBridge extends PlatformBridgeBase {
 
                 this._defaultStorageType = STORAGE_TYPE.LOCAL_STORAGE
                 this._isBannerSupported = true
-                addJavaScript(SDK_URL)
+                this._loadScript(SDK_URL)
+                    .catch((error) => {
+                        this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, error)
+                    })
             }
         }
 
@@ -127,6 +133,31 @@ class GameDistributionPlatformBridge extends PlatformBridgeBase {
             this._setRewardedState(REWARDED_STATE.FAILED)
         }
     }
+
+    preloadInterstitial() {
+        return this.#preloadAd(ACTION_NAME.PRELOAD_INTERSTITIAL, 'interstitial')
+    }
+
+    preloadRewarded() {
+        return this.#preloadAd(ACTION_NAME.PRELOAD_REWARDED, 'rewarded')
+    }
+
+    #preloadAd(actionName, adType) {
+        if (!this._platformSdk) {
+            return this._rejectWithError(ERROR.NOT_AVAILABLE, actionName)
+        }
+
+        return this._runRequest(actionName, undefined, (request) => {
+            this._platformSdk
+                .preloadAd(adType)
+                .then(() => {
+                    this._resolvePromiseDecorator(request.id)
+                })
+                .catch((error) => {
+                    this._rejectPromiseDecorator(request.id, this._createError(ERROR.NOT_AVAILABLE, actionName, error))
+                })
+        })
+    }
 }
 
 export default GameDistributionPlatformBridge
@@ -0,0 +1,505 @@
+import PlatformBridgeBase from './PlatformBridgeBase'
+import {
+    PLATFORM_ID,
+    ACTION_NAME,
+    INTERSTITIAL_STATE,
+    REWARDED_STATE,
+    BANNER_STATE,
+    ERROR,
+} from '../constants'
+
+export const MOCK_AD_RESULT = {
+    SUCCESS: 'success',
+    SKIP: 'skip',
+    FAIL: 'fail',
+}
+
+const URL_PARAM_PREFIX = 'mock_'
+
+const DEFAULT_OPTIONS = {
+    delay: 300,
+    advertisement: {
+        delay: 500,
+        duration: 2000,
+        banner: true,
+        interstitial: MOCK_AD_RESULT.SUCCESS,
+        rewarded: MOCK_AD_RESULT.SUCCESS,
+    },
+    player: {
+        authorized: false,
+        id: 'mock_player',
+        name: 'Mock Player',
+        photos: [],
+    },
+    payments: {
+        catalog: [
+            {
+                id: 'mock_product',
+                title: 'Mock Product',
+                description: 'Product of the mock platform',
+                imageURI: '',
+                price: '1 USD',
+                priceCurrencyCode: 'USD',
+                priceValue: '1',
+            },
+        ],
+        purchases: [],
+    },
+    leaderboards: {},
+    remoteConfig: {},
+    failures: [],
+}
+
+// Options platformId and capabilities let the mock pose as another platform, so game code written
+// for that platform can be walked through in the sandbox. Capabilities have the shape of bridge.capabilities
+class MockPlatformBridge extends PlatformBridgeBase {
+    // platform
+    get platformId() {
+        const platformId = this._options && this._options.platformId
+        return typeof platformId === 'string' && platformId !== '' ? platformId : PLATFORM_ID.MOCK
+    }
+
+    // player
+    get isPlayerAuthorizationSupported() {
+        return this.#isCapabilitySupported('player', 'isAuthorizationSupported', true)
+    }
+
+    // advertisement
+    get isBannerSupported() {
+        return this.#isCapabilitySupported(
+            'advertisement',
+            'isBannerSupported',
+            !!this.#mockOptions && this.#mockOptions.advertisement.banner,
+        )
+    }
+
+    // social
+    get isInviteFriendsSupported() {
+        return this.#isCapabilitySupported('social', 'isInviteFriendsSupported', true)
+    }
+
+    get isJoinCommunitySupported() {
+        return this.#isCapabilitySupported('social', 'isJoinCommunitySupported', true)
+    }
+
+    get isShareSupported() {
+        return this.#isCapabilitySupported('social', 'isShareSupported', true)
+    }
+
+    get isCreatePostSupported() {
+        return this.#isCapabilitySupported('social', 'isCreatePostSupported', true)
+    }
+
+    get isAddToFavoritesSupported() {
+        return this.#isCapabilitySupported('social', 'isAddToFavoritesSupported', true)
+    }
+
+    get isRateSupported() {
+        return this.#isCapabilitySupported('social', 'isRateSupported', true)
+    }
+
+    get isExternalLinksAllowed() {
+        return this.#isCapabilitySupported('social', 'isExternalLinksAllowed', super.isExternalLinksAllowed)
+    }
+
+    // leaderboard
+    get isLeaderboardSupported() {
+        return this.#isCapabilitySupported('leaderboard', 'isSupported', true)
+    }
+
+    get isLeaderboardMultipleBoardsSupported() {
+        return this.#isCapabilitySupported('leaderboard', 'isMultipleBoardsSupported', true)
+    }
+
+    get isLeaderboardSetScoreSupported() {
+        return this.#isCapabilitySupported('leaderboard', 'isSetScoreSupported', true)
+    }
+
+    get isLeaderboardGetScoreSupported() {
+        return this.#isCapabilitySupported('leaderboard', 'isGetScoreSupported', true)
+    }
+
+    get isLeaderboardGetEntriesSupported() {
+        return this.#isCapabilitySupported('leaderboard', 'isGetEntriesSupported', true)
+    }
+
+    // payments
+    get isPaymentsSupported() {
+        return this.#isCapabilitySupported('payments', 'isSupported', true)
+    }
+
+    // config
+    get isRemoteConfigSupported() {
+        return this.#isCapabilitySupported('remoteConfig', 'isSupported', true)
+    }
+
+    // clipboard
+    get isClipboardSupported() {
+        return this.#isCapabilitySupported('clipboard', 'isSupported', super.isClipboardSupported)
+    }
+
+    #mockOptions
+
+    #leaderboards = {}
+
+    #catalog = []
+
+    #purchases = []
+
+    #purchaseIndex = 0
+
+    initialize() {
+        if (this._isInitialized) {
+            return Promise.resolve()
+        }
+
+        this.#mockOptions = this.#createMockOptions()
+
+        const { player, payments, leaderboards } = this.#mockOptions
+        this._isPlayerAuthorized = player.authorized
+        if (this._isPlayerAuthorized) {
+            this.#setPlayer()
+        }
+
+        this.#catalog = payments.catalog.map((product) => ({ ...product }))
+        this.#purchases = payments.purchases.map((purchase) => ({ ...purchase }))
+
+        Object.keys(leaderboards).forEach((name) => {
+            this.#leaderboards[name] = leaderboards[name].map((entry) => ({ ...entry }))
+        })
+
+        return this.#simulate(ACTION_NAME.INITIALIZE)
+            .then(() => {
+                this._isInitialized = true
+            })
+    }
+
+    // player
+    authorizePlayer() {
+        if (this._isPlayerAuthorized) {
+            return Promise.resolve()
+        }
+
+        return this.#simulate(ACTION_NAME.AUTHORIZE_PLAYER)
+            .then(() => {
+                this._isPlayerAuthorized = true
+                this.#setPlayer()
+                this._refreshCapabilities()
+            })
+    }
+
+    // advertisement
+    showBanner() {
+        if (this.#isFailureForced(ACTION_NAME.SHOW_BANNER)) {
+            this._setBannerState(BANNER_STATE.FAILED)
+            return
+        }
+
+        this._setTimeout(() => this._setBannerState(BANNER_STATE.SHOWN), this.#mockOptions.advertisement.delay)
+    }
+
+    hideBanner() {
+        this._setBannerState(BANNER_STATE.HIDDEN)
+    }
+
+    showInterstitial() {
+        const { delay, duration, interstitial } = this.#mockOptions.advertisement
+
+        this._setTimeout(() => {
+            if (interstitial === MOCK_AD_RESULT.FAIL || this.#isFailureForced(ACTION_NAME.SHOW_INTERSTITIAL)) {
+                this._setInterstitialState(INTERSTITIAL_STATE.FAILED)
+                return
+            }
+
+            this._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+            this._setTimeout(() => this._setInterstitialState(INTERSTITIAL_STATE.CLOSED), duration)
+        }, delay)
+    }
+
+    showRewarded() {
+        const { delay, duration, rewarded } = this.#mockOptions.advertisement
+
+        this._setTimeout(() => {
+            if (rewarded === MOCK_AD_RESULT.FAIL || this.#isFailureForced(ACTION_NAME.SHOW_REWARDED)) {
+                this._setRewardedState(REWARDED_STATE.FAILED)
+                return
+            }
+
+            this._setRewardedState(REWARDED_STATE.OPENED)
+            this._setTimeout(() => {
+                if (rewarded === MOCK_AD_RESULT.SUCCESS) {
+                    this._setRewardedState(REWARDED_STATE.REWARDED)
+                }
+
+                this._setRewardedState(REWARDED_STATE.CLOSED)
+            }, duration)
+        }, delay)
+    }
+
+    preloadInterstitial() {
+        return this.#preloadAdvertisement(ACTION_NAME.PRELOAD_INTERSTITIAL, this.#mockOptions.advertisement.interstitial)
+    }
+
+    preloadRewarded() {
+        return this.#preloadAdvertisement(ACTION_NAME.PRELOAD_REWARDED, this.#mockOptions.advertisement.rewarded)
+    }
+
+    // social
+    inviteFriends(options) {
+        return this.#simulate(ACTION_NAME.INVITE_FRIENDS, options)
+    }
+
+    joinCommunity(options) {
+        return this.#simulate(ACTION_NAME.JOIN_COMMUNITY, options)
+    }
+
+    share(options) {
+        return this.#simulate(ACTION_NAME.SHARE, options)
+    }
+
+    createPost(options) {
+        return this.#simulate(ACTION_NAME.CREATE_POST, options)
+    }
+
+    addToFavorites() {
+        return this.#simulate(ACTION_NAME.ADD_TO_FAVORITES)
+    }
+
+    rate() {
+        return this.#simulate(ACTION_NAME.RATE)
+    }
+
+    // leaderboard
+    setLeaderboardScore(options) {
+        if (!this._isPlayerAuthorized) {
+            return this._rejectWithError(ERROR.NOT_AUTHORIZED, ACTION_NAME.SET_LEADERBOARD_SCORE)
+        }
+
+        if (!options || !options.leaderboardName) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.SET_LEADERBOARD_SCORE)
+        }
+
+        let { score } = options
+        if (typeof score === 'string') {
+            score = parseInt(score, 10)
+        }
+
+        if (typeof score !== 'number' || Number.isNaN(score)) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.SET_LEADERBOARD_SCORE)
+        }
+
+        return this.#simulate(ACTION_NAME.SET_LEADERBOARD_SCORE, options, () => {
+            const entries = this.#getLeaderboard(options.leaderboardName)
+            const entry = entries.find((e) => e.id === this._playerId)
+            if (entry) {
+                entry.score = Math.max(entry.score, score)
+            } else {
+                entries.push({
+                    id: this._playerId,
+                    name: this._playerName,
+                    photo: this._playerPhotos[0] || null,
+                    score,
+                })
+            }
+        })
+    }
+
+    getLeaderboardScore(options) {
+        if (!this._isPlayerAuthorized) {
+            return this._rejectWithError(ERROR.NOT_AUTHORIZED, ACTION_NAME.GET_LEADERBOARD_SCORE)
+        }
+
+        if (!options || !options.leaderboardName) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.GET_LEADERBOARD_SCORE)
+        }
+
+        return this.#simulate(ACTION_NAME.GET_LEADERBOARD_SCORE, options, () => {
+            const entry = this.#getLeaderboard(options.leaderboardName).find((e) => e.id === this._playerId)
+            return entry ? entry.score : 0
+        })
+    }
+
+    getLeaderboardEntries(options) {
+        if (!options || !options.leaderboardName) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.GET_LEADERBOARD_ENTRIES)
+        }
+
+        return this.#simulate(ACTION_NAME.GET_LEADERBOARD_ENTRIES, options, () => {
+            const entries = [...this.#getLeaderboard(options.leaderboardName)]
+                .sort((a, b) => b.score - a.score)
+                .map((e, index) => ({
+                    id: e.id,
+                    score: e.score,
+                    rank: index + 1,
+                    name: e.name,
+                    photo: e.photo,
+                }))
+
+            return entries.length > 0 ? entries : null
+        })
+    }
+
+    // payments
+    purchase(options) {
+        if (!options || !options.id) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.PURCHASE)
+        }
+
+        const product = this.#catalog.find((p) => p.id === options.id)
+        if (!product) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.PURCHASE)
+        }
+
+        return this.#simulate(ACTION_NAME.PURCHASE, options, () => {
+            this.#purchaseIndex += 1
+            const purchase = {
+                productID: product.id,
+                purchaseToken: `mock_purchase_token_${Date.now()}_${this.#purchaseIndex}`,
+                developerPayload: options.developerPayload,
+            }
+
+            this.#purchases.push(purchase)
+            return { ...purchase }
+        })
+    }
+
+    getPaymentsPurchases() {
+        return this.#simulate(ACTION_NAME.GET_PURCHASES, undefined, () => this.#purchases.map((purchase) => ({ ...purchase })))
+    }
+
+    getPaymentsCatalog() {
+        return this.#simulate(ACTION_NAME.GET_CATALOG, undefined, () => this.#catalog.map((product) => ({ ...product })))
+    }
+
+    consumePurchase(options) {
+        if (!options || !options.purchaseToken) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.CONSUME_PURCHASE)
+        }
+
+        if (!this.#purchases.some((p) => p.purchaseToken === options.purchaseToken)) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.CONSUME_PURCHASE)
+        }
+
+        return this.#simulate(ACTION_NAME.CONSUME_PURCHASE, options, () => {
+            const index = this.#purchases.findIndex((p) => p.purchaseToken === options.purchaseToken)
+            const [purchase] = this.#purchases.splice(index, 1)
+            return { ...purchase }
+        })
+    }
+
+    // config
+    getRemoteConfig() {
+        return this.#simulate(ACTION_NAME.GET_REMOTE_CONFIG, undefined, () => ({ ...this.#mockOptions.remoteConfig }))
+    }
+
+    #preloadAdvertisement(actionName, result) {
+        if (result === MOCK_AD_RESULT.FAIL) {
+            return this._rejectWithError(ERROR.NOT_AVAILABLE, actionName)
+        }
+
+        return this.#simulate(actionName)
+    }
+
+    #simulate(actionName, options, getResult) {
+        return this._runRequest(actionName, options, (request) => {
+            setTimeout(() => {
+                if (request.isCancelled) {
+                    return
+                }
+
+                if (this.#isFailureForced(actionName)) {
+                    this._rejectPromiseDecorator(request.id, this._createError(ERROR.MOCK_FAILURE_FORCED, actionName))
+                    return
+                }
+
+                this._resolvePromiseDecorator(request.id, getResult ? getResult() : undefined)
+            }, this.#mockOptions.delay)
+        })
+    }
+
+    #isCapabilitySupported(group, name, defaultValue) {
+        const capabilities = (this._options && this._options.capabilities) || {}
+        const value = capabilities[group] && capabilities[group][name]
+        return typeof value === 'boolean' ? value : defaultValue
+    }
+
+    #isFailureForced(actionName) {
+        return this.#mockOptions.failures.includes(actionName)
+    }
+
+    #setPlayer() {
+        const { player } = this.#mockOptions
+        this._playerId = player.id
+        this._playerName = player.name
+        this._playerPhotos = [...player.photos]
+    }
+
+    #getLeaderboard(name) {
+        if (!this.#leaderboards[name]) {
+            this.#leaderboards[name] = []
+        }
+
+        return this.#leaderboards[name]
+    }
+
+    #createMockOptions() {
+        const options = this._options || {}
+        const mockOptions = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            advertisement: { ...DEFAULT_OPTIONS.advertisement, ...options.advertisement },
+            player: { ...DEFAULT_OPTIONS.player, ...options.player },
+            payments: { ...DEFAULT_OPTIONS.payments, ...options.payments },
+            leaderboards: { ...DEFAULT_OPTIONS.leaderboards, ...options.leaderboards },
+            remoteConfig: { ...DEFAULT_OPTIONS.remoteConfig, ...options.remoteConfig },
+            failures: [...(options.failures || DEFAULT_OPTIONS.failures)],
+        }
+
+        const url = new URL(window.location.href)
+        const getParam = (name) => url.searchParams.get(`${URL_PARAM_PREFIX}${name}`)
+
+        const delay = parseInt(getParam('delay'), 10)
+        if (!Number.isNaN(delay)) {
+            mockOptions.delay = delay
+        }
+
+        const adDelay = parseInt(getParam('ad_delay'), 10)
+        if (!Number.isNaN(adDelay)) {
+            mockOptions.advertisement.delay = adDelay
+        }
+
+        const adDuration = parseInt(getParam('ad_duration'), 10)
+        if (!Number.isNaN(adDuration)) {
+            mockOptions.advertisement.duration = adDuration
+        }
+
+        const interstitial = getParam('interstitial')
+        if (Object.values(MOCK_AD_RESULT).includes(interstitial)) {
+            mockOptions.advertisement.interstitial = interstitial
+        }
+
+        const rewarded = getParam('rewarded')
+        if (Object.values(MOCK_AD_RESULT).includes(rewarded)) {
+            mockOptions.advertisement.rewarded = rewarded
+        }
+
+        const banner = getParam('banner')
+        if (banner !== null) {
+            mockOptions.advertisement.banner = banner === 'true'
+        }
+
+        const authorized = getParam('authorized')
+        if (authorized !== null) {
+            mockOptions.player.authorized = authorized === 'true'
+        }
+
+        const failures = getParam('failures')
+        if (failures) {
+            mockOptions.failures.push(...failures.split(',').map((f) => f.trim()))
+        }
+
+        return mockOptions
+    }
+}
+
+export default MockPlatformBridge
@@ -1,8 +1,4 @@
 import PlatformBridgeBase from './PlatformBridgeBase'
-import {
-    addJavaScript,
-    waitFor,
-} from '../common/utils'
 import {
     PLATFORM_ID,
     ACTION_NAME, STORAGE_TYPE,
@@ -64,6 +60,10 @@ class OkPlatformBridge extends PlatformBridgeBase {
 
     _platformBannerOptions = {}
 
+    #isRewardedLoaded = false
+
+    #isRewardedShowRequested = false
+
     initialize() {
         if (this._isInitialized) {
             return Promise.resolve()
@@ -73,36 +73,41 @@ class OkPlatformBridge extends PlatformBridgeBase {
         if (!promiseDecorator) {
             promiseDecorator = this._createPromiseDecorator(ACTION_NAME.INITIALIZE)
 
-            addJavaScript(SDK_URL)
+            this._loadScript(SDK_URL)
+                .then(() => this._waitFor('FAPI'))
                 .then(() => {
-                    waitFor('FAPI')
-                        .then(() => {
-                            this._platformSdk = window.FAPI
-                            window.API_callback = (method, result, data) => this.#apiCallbacks[method](result, data)
-
-                            const params = this._platformSdk.Util.getRequestParameters() || {}
-                            if (!params.api_server || !params.apiconnection) {
-                                this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, ERROR.OK_GAME_PARAMS_NOT_FOUND)
-                            } else {
-                                this._platformSdk.init(
-                                    params.api_server,
-                                    params.apiconnection,
-                                    () => {
-                                        const savedState = this._platformSdk?.saved_state
-                                        this._isPlayerAuthorized = savedState ? savedState === AUTH_STATE : true
-                                        if (this._isPlayerAuthorized) {
-                                            this._platformSdk.Client.call(this.#fields.userProfile, this.#callbacks.userProfileCallback)
-                                        } else {
-                                            this._isInitialized = true
-                                            this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
-                                        }
-                                    },
-                                    () => {
-                                        this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE)
-                                    },
-                                )
-                            }
-                        })
+                    this._platformSdk = window.FAPI
+                    window.API_callback = (method, result, data) => this.#apiCallbacks[method](result, data)
+                    this._onDestroy(() => { delete window.API_callback })
+
+                    const params = this._platformSdk.Util.getRequestParameters() || {}
+                    if (!params.api_server || !params.apiconnection) {
+                        this._rejectPromiseDecorator(
+                            ACTION_NAME.INITIALIZE,
+                            this._createError(ERROR.OK_GAME_PARAMS_NOT_FOUND, ACTION_NAME.INITIALIZE),
+                        )
+                    } else {
+                        this._platformSdk.init(
+                            params.api_server,
+                            params.apiconnection,
+                            () => {
+                                const savedState = this._platformSdk?.saved_state
+                                this._isPlayerAuthorized = savedState ? savedState === AUTH_STATE : true
+                                if (this._isPlayerAuthorized) {
+                                    this._platformSdk.Client.call(this.#fields.userProfile, this.#callbacks.userProfileCallback)
+                                } else {
+                                    this._isInitialized = true
+                                    this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
+                                }
+                            },
+                            () => {
+                                this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE)
+                            },
+                        )
+                    }
+                })
+                .catch((error) => {
+                    this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, error)
                 })
         }
 
@@ -144,7 +149,7 @@ class OkPlatformBridge extends PlatformBridgeBase {
     getDataFromStorage(key, storageType, tryParseJson) {
         if (storageType === STORAGE_TYPE.PLATFORM_INTERNAL) {
             if (!this._hasValuableAccessPermission) {
-                return Promise.reject(ERROR.STORAGE_NOT_AVAILABLE)
+                return this._rejectWithError(ERROR.STORAGE_NOT_AVAILABLE, ACTION_NAME.GET_STORAGE_DATA)
             }
 
             return new Promise((resolve, reject) => {
@@ -195,7 +200,7 @@ class OkPlatformBridge extends PlatformBridgeBase {
 
                         resolve(value)
                     } else {
-                        reject(error)
+                        reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.GET_STORAGE_DATA, error))
                     }
                 })
             })
@@ -207,7 +212,7 @@ class OkPlatformBridge extends PlatformBridgeBase {
     setDataToStorage(key, value, storageType) {
         if (storageType === STORAGE_TYPE.PLATFORM_INTERNAL) {
             if (!this._hasValuableAccessPermission) {
-                return Promise.reject(ERROR.STORAGE_NOT_AVAILABLE)
+                return this._rejectWithError(ERROR.STORAGE_NOT_AVAILABLE, ACTION_NAME.SET_STORAGE_DATA)
             }
 
             const keys = Array.isArray(key) ? key : [key]
@@ -224,11 +229,11 @@ class OkPlatformBridge extends PlatformBridgeBase {
 
                 const params = { method: 'storage.set', key: k, value: v }
                 const promise = new Promise((resolve, reject) => {
-                    this._platformSdk.Client.call(params, (status, data) => {
+                    this._platformSdk.Client.call(params, (status, data, error) => {
                         if (data) {
                             resolve()
                         } else {
-                            reject()
+                            reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.SET_STORAGE_DATA, error))
                         }
                     })
                 })
@@ -245,7 +250,7 @@ class OkPlatformBridge extends PlatformBridgeBase {
     deleteDataFromStorage(key, storageType) {
         if (storageType === STORAGE_TYPE.PLATFORM_INTERNAL) {
             if (!this._hasValuableAccessPermission) {
-                return Promise.reject(ERROR.STORAGE_NOT_AVAILABLE)
+                return this._rejectWithError(ERROR.STORAGE_NOT_AVAILABLE, ACTION_NAME.DELETE_STORAGE_DATA)
             }
 
             const keys = Array.isArray(key) ? key : [key]
@@ -256,11 +261,11 @@ class OkPlatformBridge extends PlatformBridgeBase {
 
                 const params = { method: 'storage.set', key: k }
                 const promise = new Promise((resolve, reject) => {
-                    this._platformSdk.Client.call(params, (status, data) => {
+                    this._platformSdk.Client.call(params, (status, data, error) => {
                         if (data) {
                             resolve()
                         } else {
-                            reject()
+                            reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.DELETE_STORAGE_DATA, error))
                         }
                     })
                 })
@@ -284,13 +289,40 @@ class OkPlatformBridge extends PlatformBridgeBase {
     }
 
     showRewarded() {
+        if (this.#isRewardedLoaded) {
+            this.#showLoadedRewarded()
+            return
+        }
+
+        // A preload in progress shows the ad as soon as it is loaded
+        this.#isRewardedShowRequested = true
+        if (this._getPromiseDecorator(ACTION_NAME.PRELOAD_REWARDED)) {
+            return
+        }
+
         try {
             this._platformSdk.UI.loadAd()
         } catch {
+            this.#isRewardedShowRequested = false
             this._setRewardedState(REWARDED_STATE.FAILED)
         }
     }
 
+    preloadRewarded() {
+        if (this.#isRewardedLoaded) {
+            return Promise.resolve()
+        }
+
+        return this._runRequest(ACTION_NAME.PRELOAD_REWARDED, undefined, (request) => {
+            if (this.#isRewardedShowRequested) {
+                this._rejectPromiseDecorator(request.id, this._createError(ERROR.NOT_AVAILABLE, ACTION_NAME.PRELOAD_REWARDED))
+                return
+            }
+
+            this._platformSdk.UI.loadAd()
+        })
+    }
+
     showBanner(options) {
         const position = 'bottom'
         if (options) {
@@ -330,20 +362,19 @@ class OkPlatformBridge extends PlatformBridgeBase {
         const { text } = options || {}
 
         if (!options || typeof text !== 'string') {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.INVITE_FRIENDS)
         }
 
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.INVITE_FRIENDS)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.INVITE_FRIENDS)
+        return this._runRequest(ACTION_NAME.INVITE_FRIENDS, options, (request) => {
             if (text.length > 120) {
-                this._rejectPromiseDecorator(ACTION_NAME.INVITE_FRIENDS, ERROR.INVITE_FRIENDS_MESSAGE_LENGTH_ERROR)
+                this._rejectPromiseDecorator(
+                    request.id,
+                    this._createError(ERROR.INVITE_FRIENDS_MESSAGE_LENGTH_ERROR, ACTION_NAME.INVITE_FRIENDS),
+                )
             } else {
                 this._platformSdk.UI.showInvite(text)
             }
-        }
-
-        return promiseDecorator.promise
+        })
     }
 
     rate() {
@@ -358,30 +389,22 @@ class OkPlatformBridge extends PlatformBridgeBase {
 
     createPost(options) {
         if (!options || !options?.media) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.CREATE_POST)
         }
 
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.CREATE_POST)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.CREATE_POST)
+        return this._runRequest(ACTION_NAME.CREATE_POST, options, () => {
             this._platformSdk.UI.postMediatopic(options, options.status ?? false)
-        }
-
-        return promiseDecorator.promise
+        })
     }
 
     joinCommunity(options) {
         if (!options || !options?.groupId) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.JOIN_COMMUNITY)
         }
 
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.JOIN_COMMUNITY)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.JOIN_COMMUNITY)
+        return this._runRequest(ACTION_NAME.JOIN_COMMUNITY, options, () => {
             this._platformSdk.UI.joinGroup(options.groupId, options.enableMessages ?? false)
-        }
-
-        return promiseDecorator.promise
+        })
     }
 
     get #fields() {
@@ -468,14 +491,38 @@ class OkPlatformBridge extends PlatformBridgeBase {
     }
 
     #onLoadedRewarded(result) {
-        if (result === 'error') {
-            this._setRewardedState(REWARDED_STATE.FAILED)
+        const isLoaded = result !== 'error'
+        this.#isRewardedLoaded = isLoaded
+
+        if (this._getPromiseDecorator(ACTION_NAME.PRELOAD_REWARDED)) {
+            if (isLoaded) {
+                this._resolvePromiseDecorator(ACTION_NAME.PRELOAD_REWARDED)
+            } else {
+                this._rejectPromiseDecorator(
+                    ACTION_NAME.PRELOAD_REWARDED,
+                    this._createError(ERROR.NOT_AVAILABLE, ACTION_NAME.PRELOAD_REWARDED, result),
+                )
+            }
+        }
+
+        if (!this.#isRewardedShowRequested) {
+            return
+        }
+
+        this.#isRewardedShowRequested = false
+        if (isLoaded) {
+            this.#showLoadedRewarded()
         } else {
-            this._setRewardedState(REWARDED_STATE.OPENED)
-            this._platformSdk.UI.showLoadedAd()
+            this._setRewardedState(REWARDED_STATE.FAILED)
         }
     }
 
+    #showLoadedRewarded() {
+        this.#isRewardedLoaded = false
+        this._setRewardedState(REWARDED_STATE.OPENED)
+        this._platformSdk.UI.showLoadedAd()
+    }
+
     #onRewardedShown(data) {
         switch (data) {
             case 'complete':
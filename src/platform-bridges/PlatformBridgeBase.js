@@ -9,8 +9,21 @@ import {
     ERROR,
     VISIBILITY_STATE,
     DEVICE_TYPE,
+    ACTION_NAME,
+    REQUEST_POLICY,
 } from '../constants'
-import PromiseDecorator from '../common/PromiseDecorator'
+import RequestRegistry from '../common/RequestRegistry'
+import BridgeError from '../common/BridgeError'
+import Logger from '../common/Logger'
+import { loadJavaScript, waitFor } from '../common/utils'
+
+const MAX_RECENT_ERRORS = 20
+
+const DEFAULT_SCRIPT_LOADER_OPTIONS = {
+    timeout: 15000,
+    retries: 1,
+    retryDelay: 1000,
+}
 
 class PlatformBridgeBase {
     // platform
@@ -40,6 +53,70 @@ class PlatformBridgeBase {
         return null
     }
 
+    get detectionReport() {
+        return this._detectionReport
+    }
+
+    get pendingRequests() {
+        return this.#requestRegistry.requests
+    }
+
+    get capabilities() {
+        const storage = {}
+        Object.values(STORAGE_TYPE).forEach((storageType) => {
+            storage[storageType] = {
+                isSupported: this.isStorageSupported(storageType),
+                isAvailable: this.isStorageAvailable(storageType),
+            }
+        })
+
+        return {
+            player: {
+                isAuthorizationSupported: this.isPlayerAuthorizationSupported,
+                isAuthorized: this.isPlayerAuthorized,
+            },
+            storage,
+            advertisement: {
+                isBannerSupported: this.isBannerSupported,
+            },
+            social: {
+                isInviteFriendsSupported: this.isInviteFriendsSupported,
+                isJoinCommunitySupported: this.isJoinCommunitySupported,
+                isShareSupported: this.isShareSupported,
+                isCreatePostSupported: this.isCreatePostSupported,
+                isAddToHomeScreenSupported: this.isAddToHomeScreenSupported,
+                isAddToFavoritesSupported: this.isAddToFavoritesSupported,
+                isRateSupported: this.isRateSupported,
+                isExternalLinksAllowed: this.isExternalLinksAllowed,
+            },
+            leaderboard: {
+                isSupported: this.isLeaderboardSupported,
+                isNativePopupSupported: this.isLeaderboardNativePopupSupported,
+                isMultipleBoardsSupported: this.isLeaderboardMultipleBoardsSupported,
+                isSetScoreSupported: this.isLeaderboardSetScoreSupported,
+                isGetScoreSupported: this.isLeaderboardGetScoreSupported,
+                isGetEntriesSupported: this.isLeaderboardGetEntriesSupported,
+            },
+            payments: {
+                isSupported: this.isPaymentsSupported,
+            },
+            remoteConfig: {
+                isSupported: this.isRemoteConfigSupported,
+            },
+            clipboard: {
+                isSupported: this.isClipboardSupported,
+            },
+        }
+    }
+
+    get loadedScripts() {
+        return this.#loadedScripts.map((script) => ({ ...script }))
+    }
+
+    get recentErrors() {
+        return this.#recentErrors.map((entry) => ({ ...entry }))
+    }
+
     // game
     get visibilityState() {
         return this._visibilityState
@@ -205,7 +282,25 @@ class PlatformBridgeBase {
 
     _bannerState = null
 
-    #promiseDecorators = { }
+    _detectionReport = null
+
+    _scriptLoaderOptions = null
+
+    _logger = new Logger()
+
+    #requestRegistry = new RequestRegistry()
+
+    #callOptions = null
+
+    #loadedScripts = []
+
+    #capabilitiesKey = null
+
+    #recentErrors = []
+
+    #scriptElements = []
+
+    #destroyCallbacks = []
 
     constructor(options) {
         try { this._localStorage = window.localStorage } catch (e) {
@@ -214,10 +309,14 @@ class PlatformBridgeBase {
 
         this._visibilityState = document.visibilityState === 'visible' ? VISIBILITY_STATE.VISIBLE : VISIBILITY_STATE.HIDDEN
 
-        document.addEventListener('visibilitychange', () => {
+        const onVisibilityChange = () => {
             this._visibilityState = document.visibilityState === 'visible' ? VISIBILITY_STATE.VISIBLE : VISIBILITY_STATE.HIDDEN
+            this._logger.debug(this.platformId, `Visibility state: ${this._visibilityState}`)
             this.emit(EVENT_NAME.VISIBILITY_STATE_CHANGED, this._visibilityState)
-        })
+        }
+
+        document.addEventListener('visibilitychange', onVisibilityChange)
+        this._onDestroy(() => document.removeEventListener('visibilitychange', onVisibilityChange))
 
         if (options) {
             this._options = { ...options }
@@ -228,6 +327,29 @@ class PlatformBridgeBase {
         return Promise.resolve()
     }
 
+    destroy() {
+        this.#requestRegistry.requests.forEach(({ id }) => {
+            const request = this.#requestRegistry.find(id)
+            if (request) {
+                this.#cancelRequest(request, this._createError(ERROR.BRIDGE_DESTROYED, request.actionName))
+            }
+        })
+
+        this.#destroyCallbacks.forEach((callback) => {
+            try {
+                callback()
+            } catch (e) {
+                // Nothing we can do with it
+            }
+        })
+        this.#destroyCallbacks = []
+
+        this.#scriptElements.forEach((script) => script.remove())
+        this.#scriptElements = []
+
+        this.off()
+    }
+
     // platform
     sendMessage() {
         return Promise.resolve()
@@ -245,15 +367,15 @@ class PlatformBridgeBase {
                 .then((data) => {
                     resolve(data.unixtime * 1000)
                 })
-                .catch(() => {
-                    reject()
+                .catch((error) => {
+                    reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.GET_SERVER_TIME, error))
                 })
         })
     }
 
     // player
     authorizePlayer() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.AUTHORIZE_PLAYER)
     }
 
     // storage
@@ -302,10 +424,10 @@ class PlatformBridgeBase {
                     const value = this._getDataFromLocalStorage(key, tryParseJson)
                     return Promise.resolve(value)
                 }
-                return Promise.reject(ERROR.STORAGE_NOT_SUPPORTED)
+                return this._rejectWithError(ERROR.STORAGE_NOT_SUPPORTED, ACTION_NAME.GET_STORAGE_DATA)
             }
             default: {
-                return Promise.reject(ERROR.STORAGE_NOT_SUPPORTED)
+                return this._rejectWithError(ERROR.STORAGE_NOT_SUPPORTED, ACTION_NAME.GET_STORAGE_DATA)
             }
         }
     }
@@ -324,10 +446,10 @@ class PlatformBridgeBase {
                     this._setDataToLocalStorage(key, value)
                     return Promise.resolve()
                 }
-                return Promise.reject(ERROR.STORAGE_NOT_SUPPORTED)
+                return this._rejectWithError(ERROR.STORAGE_NOT_SUPPORTED, ACTION_NAME.SET_STORAGE_DATA)
             }
             default: {
-                return Promise.reject(ERROR.STORAGE_NOT_SUPPORTED)
+                return this._rejectWithError(ERROR.STORAGE_NOT_SUPPORTED, ACTION_NAME.SET_STORAGE_DATA)
             }
         }
     }
@@ -346,10 +468,10 @@ class PlatformBridgeBase {
                     this._deleteDataFromLocalStorage(key)
                     return Promise.resolve()
                 }
-                return Promise.reject(ERROR.STORAGE_NOT_SUPPORTED)
+                return this._rejectWithError(ERROR.STORAGE_NOT_SUPPORTED, ACTION_NAME.DELETE_STORAGE_DATA)
             }
             default: {
-                return Promise.reject(ERROR.STORAGE_NOT_SUPPORTED)
+                return this._rejectWithError(ERROR.STORAGE_NOT_SUPPORTED, ACTION_NAME.DELETE_STORAGE_DATA)
             }
         }
     }
@@ -371,6 +493,15 @@ class PlatformBridgeBase {
         this._setRewardedState(REWARDED_STATE.FAILED)
     }
 
+    // Platforms without a readiness check are optimistic, a failed show is still reported by the state
+    preloadInterstitial() {
+        return Promise.resolve()
+    }
+
+    preloadRewarded() {
+        return Promise.resolve()
+    }
+
     checkAdBlock() {
         const fakeAd = document.createElement('div')
         fakeAd.className = 'textads banner-ads banner_ads ad-unit ad-zone ad-space adsbox'
@@ -408,87 +539,89 @@ class PlatformBridgeBase {
 
     // social
     inviteFriends() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.INVITE_FRIENDS)
     }
 
     joinCommunity() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.JOIN_COMMUNITY)
     }
 
     share() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.SHARE)
     }
 
     createPost() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.CREATE_POST)
     }
 
     addToHomeScreen() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.ADD_TO_HOME_SCREEN)
     }
 
     addToFavorites() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.ADD_TO_FAVORITES)
     }
 
     rate() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.RATE)
     }
 
     // leaderboard
     setLeaderboardScore() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.SET_LEADERBOARD_SCORE)
     }
 
     getLeaderboardScore() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.GET_LEADERBOARD_SCORE)
     }
 
     getLeaderboardEntries() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.GET_LEADERBOARD_ENTRIES)
     }
 
     showLeaderboardNativePopup() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.SHOW_LEADERBOARD_NATIVE_POPUP)
     }
 
     // payments
     purchase() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.PURCHASE)
     }
 
     getPaymentsPurchases() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.GET_PURCHASES)
     }
 
     getPaymentsCatalog() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.GET_CATALOG)
     }
 
     consumePurchase() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.CONSUME_PURCHASE)
     }
 
     // config
     getRemoteConfig() {
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.GET_REMOTE_CONFIG)
     }
 
     // clipboard
     clipboardRead() {
         if (window.navigator && window.navigator.clipboard) {
             return window.navigator.clipboard.readText()
+                .catch((error) => this._rejectWithError(ERROR.PLATFORM_ERROR, ACTION_NAME.CLIPBOARD_READ, error))
         }
 
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.CLIPBOARD_READ)
     }
 
     clipboardWrite(text) {
         if (window.navigator && window.navigator.clipboard) {
             return window.navigator.clipboard.writeText(text)
+                .catch((error) => this._rejectWithError(ERROR.PLATFORM_ERROR, ACTION_NAME.CLIPBOARD_WRITE, error))
         }
 
-        return Promise.reject()
+        return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.CLIPBOARD_WRITE)
     }
 
     _getDataFromLocalStorage(key, tryParseJson) {
@@ -519,6 +652,7 @@ class PlatformBridgeBase {
         }
 
         this._interstitialState = state
+        this._logger.debug(this.platformId, `Interstitial state: ${state}`)
         this.emit(EVENT_NAME.INTERSTITIAL_STATE_CHANGED, this._interstitialState)
     }
 
@@ -528,6 +662,7 @@ class PlatformBridgeBase {
         }
 
         this._rewardedState = state
+        this._logger.debug(this.platformId, `Rewarded state: ${state}`)
         this.emit(EVENT_NAME.REWARDED_STATE_CHANGED, this._rewardedState)
     }
 
@@ -537,30 +672,415 @@ class PlatformBridgeBase {
         }
 
         this._bannerState = state
+        this._logger.debug(this.platformId, `Banner state: ${state}`)
         this.emit(EVENT_NAME.BANNER_STATE_CHANGED, this._bannerState)
     }
 
+    _loadScript(url, name = 'sdk') {
+        const scriptOptions = (this._options && this._options.scripts && this._options.scripts[name]) || {}
+        const options = {
+            ...DEFAULT_SCRIPT_LOADER_OPTIONS,
+            ...this._scriptLoaderOptions,
+            ...scriptOptions,
+        }
+        const urls = [options.url || url, ...(options.mirrors || [])]
+
+        return loadJavaScript(urls, options)
+            .then((result) => {
+                this._logger.info(this.platformId, `Script "${name}" loaded from ${result.url}`, result.attempts)
+                this.#scriptElements.push(result.script)
+                this.#loadedScripts.push({
+                    name,
+                    url: result.url,
+                    isLoaded: true,
+                    attempts: result.attempts,
+                })
+            })
+            .catch((error) => {
+                this._logger.error(this.platformId, `Script "${name}" failed to load`, error.attempts)
+                this.#loadedScripts.push({
+                    name,
+                    url: null,
+                    isLoaded: false,
+                    attempts: error.attempts,
+                })
+
+                return this._rejectWithError(ERROR.SCRIPT_LOAD_FAILED, ACTION_NAME.INITIALIZE, {
+                    name,
+                    urls,
+                    attempts: error.attempts,
+                })
+            })
+    }
+
+    // Globals, listeners and timers installed by a platform are released through it on destroy
+    // returns a function that releases the callback earlier, without waiting for destroy
+    _onDestroy(callback) {
+        this.#destroyCallbacks.push(callback)
+        return () => {
+            this.#destroyCallbacks = this.#destroyCallbacks.filter((destroyCallback) => destroyCallback !== callback)
+        }
+    }
+
+    _addEventListener(target, eventName, listener) {
+        target.addEventListener(eventName, listener)
+        const removeDestroyCallback = this._onDestroy(() => target.removeEventListener(eventName, listener))
+
+        return () => {
+            target.removeEventListener(eventName, listener)
+            removeDestroyCallback()
+        }
+    }
+
+    _setTimeout(callback, delay) {
+        let removeDestroyCallback = null
+        const timeoutId = setTimeout(() => {
+            removeDestroyCallback()
+            callback()
+        }, delay)
+
+        removeDestroyCallback = this._onDestroy(() => clearTimeout(timeoutId))
+        return () => {
+            clearTimeout(timeoutId)
+            removeDestroyCallback()
+        }
+    }
+
+    _waitFor(...args) {
+        const abortController = new AbortController()
+        const removeDestroyCallback = this._onDestroy(() => abortController.abort())
+        const options = args.length > 0 && typeof args[args.length - 1] === 'object' ? args.pop() : {}
+
+        return waitFor(...args, { ...options, signal: abortController.signal })
+            .finally(removeDestroyCallback)
+    }
+
+    _createError(error, actionName, platformError) {
+        const bridgeError = new BridgeError(error, {
+            actionName,
+            platformId: this.platformId,
+            platformError,
+        })
+
+        this.#recentErrors.push({ timestamp: Date.now(), ...bridgeError.toJSON() })
+        if (this.#recentErrors.length > MAX_RECENT_ERRORS) {
+            this.#recentErrors.shift()
+        }
+
+        return bridgeError
+    }
+
+    _rejectWithError(error, actionName, platformError) {
+        return Promise.reject(this._createError(error, actionName, platformError))
+    }
+
+    _runWithCallOptions(actionName, callOptions, call) {
+        const { timeout, signal } = callOptions || {}
+        const hasTimeout = typeof timeout === 'number' && timeout > 0
+        if (!hasTimeout && !signal) {
+            return call()
+        }
+
+        if (signal && signal.aborted) {
+            return this._rejectWithError(ERROR.REQUEST_ABORTED, actionName)
+        }
+
+        // Requests created during the call pick these options up and cancel themselves
+        const currentCallOptions = { timeout: hasTimeout ? timeout : 0, signal, isAttached: false }
+        this.#callOptions = currentCallOptions
+
+        let promise
+        try {
+            promise = call()
+        } finally {
+            this.#callOptions = null
+        }
+
+        if (currentCallOptions.isAttached) {
+            return promise
+        }
+
+        return new Promise((resolve, reject) => {
+            let timeoutId
+            let onAbort
+
+            const finish = () => {
+                clearTimeout(timeoutId)
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort)
+                }
+            }
+
+            if (hasTimeout) {
+                timeoutId = setTimeout(() => {
+                    finish()
+                    reject(this._createError(ERROR.REQUEST_TIMEOUT, actionName))
+                }, timeout)
+            }
+
+            if (signal) {
+                onAbort = () => {
+                    finish()
+                    reject(this._createError(ERROR.REQUEST_ABORTED, actionName))
+                }
+                signal.addEventListener('abort', onAbort)
+            }
+
+            Promise.resolve(promise)
+                .then((data) => {
+                    finish()
+                    resolve(data)
+                })
+                .catch((error) => {
+                    finish()
+                    reject(error)
+                })
+        })
+    }
+
+    _addRequestCleanup(id, cleanup) {
+        const request = this.#requestRegistry.find(id)
+        if (request) {
+            request.cleanups.push(cleanup)
+        }
+    }
+
+    _setRequestPolicy(actionName, policy) {
+        return this.#requestRegistry.setPolicy(actionName, policy)
+    }
+
+    _runRequest(actionName, options, executor) {
+        const policy = this.#requestRegistry.getPolicy(actionName)
+        const pendingRequests = this.#requestRegistry.getPending(actionName)
+        let previousRequest = null
+
+        switch (policy) {
+            case REQUEST_POLICY.REJECT_CONCURRENT: {
+                if (pendingRequests.length > 0) {
+                    this._logger.trace(this.platformId, `Request ${actionName} rejected, another one is pending`)
+                    return this._rejectWithError(ERROR.CONCURRENT_REQUEST, actionName)
+                }
+                break
+            }
+            case REQUEST_POLICY.QUEUE: {
+                previousRequest = pendingRequests[pendingRequests.length - 1] || null
+                break
+            }
+            default: {
+                const identicalRequest = this.#requestRegistry.findIdentical(actionName, options)
+                if (identicalRequest) {
+                    this._logger.trace(this.platformId, `Request ${actionName} joined #${identicalRequest.id}`)
+                    return this.#subscribe(identicalRequest)
+                }
+                break
+            }
+        }
+
+        const request = this.#requestRegistry.create(actionName, options)
+        const promise = this.#subscribe(request)
+
+        const start = () => {
+            if (request.isCancelled) {
+                return
+            }
+
+            request.isStarted = true
+            this._logger.trace(this.platformId, `Request ${actionName} #${request.id} started`, options)
+
+            try {
+                executor(request)
+            } catch (error) {
+                this._rejectPromiseDecorator(request.id, error)
+            }
+        }
+
+        if (previousRequest) {
+            previousRequest.promiseDecorator.promise.then(start, start)
+        } else {
+            start()
+        }
+
+        return promise
+    }
+
     _createPromiseDecorator(actionName) {
-        const promiseDecorator = new PromiseDecorator()
-        this.#promiseDecorators[actionName] = promiseDecorator
-        return promiseDecorator
+        const request = this.#requestRegistry.create(actionName)
+        request.isStarted = true
+        request.isAnsweredByActionName = true
+        this._logger.trace(this.platformId, `Request ${actionName} #${request.id} started`)
+        this.#attachCallOptions(request)
+        return request.promiseDecorator
     }
 
     _getPromiseDecorator(actionName) {
-        return this.#promiseDecorators[actionName]
+        const request = this.#requestRegistry.getPending(actionName)[0]
+        return request ? request.promiseDecorator : undefined
     }
 
     _resolvePromiseDecorator(id, data) {
-        if (this.#promiseDecorators[id]) {
-            this.#promiseDecorators[id].resolve(data)
-            delete this.#promiseDecorators[id]
+        const request = this.#requestRegistry.find(id)
+        if (request && !this.#dropLateAnswer(request)) {
+            this.#removeRequest(request)
+            this._logger.trace(this.platformId, `Request ${request.actionName} #${request.id} resolved`, data)
+            request.promiseDecorator.resolve(data)
+            this.#checkCapabilities()
         }
     }
 
     _rejectPromiseDecorator(id, error) {
-        if (this.#promiseDecorators[id]) {
-            this.#promiseDecorators[id].reject(error)
-            delete this.#promiseDecorators[id]
+        const request = this.#requestRegistry.find(id)
+        if (request && !this.#dropLateAnswer(request)) {
+            this.#removeRequest(request)
+            this._logger.trace(this.platformId, `Request ${request.actionName} #${request.id} rejected`, error)
+            request.promiseDecorator.reject(
+                error instanceof BridgeError ? error : this._createError(ERROR.PLATFORM_ERROR, request.actionName, error),
+            )
+            this.#checkCapabilities()
+        }
+    }
+
+    // Platforms which change flags outside of a request should call it themselves
+    _refreshCapabilities() {
+        const capabilities = this.capabilities
+        const capabilitiesKey = JSON.stringify(capabilities)
+        const isChanged = this.#capabilitiesKey !== null && this.#capabilitiesKey !== capabilitiesKey
+
+        this.#capabilitiesKey = capabilitiesKey
+        if (isChanged) {
+            this._logger.debug(this.platformId, 'Capabilities changed', capabilities)
+            this.emit(EVENT_NAME.CAPABILITIES_CHANGED, capabilities)
+        }
+    }
+
+    #checkCapabilities() {
+        // Nothing to compare with until initialization has taken the first snapshot
+        if (this.#capabilitiesKey !== null) {
+            this._refreshCapabilities()
+        }
+    }
+
+    // Every caller gets its own promise, so a timeout or abort of one caller doesn't reject the others
+    // which joined the same request, the request itself is cancelled when the last caller leaves it
+    #subscribe(request) {
+        const callOptions = this.#callOptions
+        request.subscriberCount += 1
+
+        if (!callOptions) {
+            return request.promiseDecorator.promise
+        }
+
+        const { timeout, signal } = callOptions
+        callOptions.isAttached = true
+
+        return new Promise((resolve, reject) => {
+            let timeoutId
+            let onAbort
+
+            const finish = () => {
+                clearTimeout(timeoutId)
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort)
+                }
+            }
+
+            const leave = (error) => {
+                finish()
+                request.subscriberCount -= 1
+                this._logger.trace(this.platformId, `Request ${request.actionName} #${request.id} left: ${error.code}`)
+
+                if (request.subscriberCount === 0 && this.#requestRegistry.find(request.id)) {
+                    this.#cancelRequest(request, error)
+                }
+
+                reject(error)
+            }
+
+            if (timeout) {
+                timeoutId = setTimeout(() => leave(this._createError(ERROR.REQUEST_TIMEOUT, request.actionName)), timeout)
+            }
+
+            if (signal) {
+                onAbort = () => leave(this._createError(ERROR.REQUEST_ABORTED, request.actionName))
+                signal.addEventListener('abort', onAbort)
+            }
+
+            request.promiseDecorator.promise
+                .then((data) => {
+                    finish()
+                    resolve(data)
+                })
+                .catch((error) => {
+                    finish()
+                    reject(error)
+                })
+        })
+    }
+
+    #attachCallOptions(request) {
+        if (!this.#callOptions) {
+            return
+        }
+
+        const { timeout, signal } = this.#callOptions
+        this.#callOptions.isAttached = true
+
+        if (timeout) {
+            request.timeoutId = setTimeout(() => {
+                this.#cancelRequest(request, this._createError(ERROR.REQUEST_TIMEOUT, request.actionName))
+            }, timeout)
+        }
+
+        if (signal) {
+            request.signal = signal
+            request.onAbort = () => {
+                this.#cancelRequest(request, this._createError(ERROR.REQUEST_ABORTED, request.actionName))
+            }
+            signal.addEventListener('abort', request.onAbort)
+        }
+    }
+
+    // Platforms answer requests of _createPromiseDecorator by action name, so such a request stays
+    // registered until its answer arrives, otherwise the late answer would settle the next request
+    #cancelRequest(request, error) {
+        if (request.isAnsweredByActionName) {
+            this.#detachCallOptions(request)
+        } else {
+            this.#removeRequest(request)
+        }
+
+        request.isCancelled = true
+        this._logger.trace(this.platformId, `Request ${request.actionName} #${request.id} cancelled: ${error.code}`)
+
+        request.cleanups.forEach((cleanup) => {
+            try {
+                cleanup()
+            } catch (e) {
+                // Nothing we can do with it
+            }
+        })
+
+        request.promiseDecorator.reject(error)
+    }
+
+    #dropLateAnswer(request) {
+        if (!request.isCancelled) {
+            return false
+        }
+
+        this.#requestRegistry.remove(request)
+        this._logger.trace(this.platformId, `Request ${request.actionName} #${request.id} answered after cancellation`)
+        return true
+    }
+
+    #removeRequest(request) {
+        this.#requestRegistry.remove(request)
+        this.#detachCallOptions(request)
+    }
+
+    #detachCallOptions(request) {
+        clearTimeout(request.timeoutId)
+        if (request.signal) {
+            request.signal.removeEventListener('abort', request.onAbort)
         }
     }
 }
@@ -6,6 +6,7 @@ import {
     INTERSTITIAL_STATE,
     REWARDED_STATE,
     STORAGE_TYPE,
+    ERROR,
 } from '../constants'
 
 class PlayDeckPlatformBridge extends PlatformBridgeBase {
@@ -70,14 +71,14 @@ class PlayDeckPlatformBridge extends PlatformBridgeBase {
                     this.#language = profile.locale
                     this.#urlParams = profile.params
 
-                    window.removeEventListener('message', getUserProfileHandler)
+                    removeGetUserProfileListener()
 
                     this._isInitialized = true
                     this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
                 }
             }
 
-            window.addEventListener('message', getUserProfileHandler)
+            const removeGetUserProfileListener = this._addEventListener(window, 'message', getUserProfileHandler)
 
             window.parent.postMessage({ playdeck: { method: 'getUserProfile' } }, '*')
         }
@@ -119,19 +120,19 @@ class PlayDeckPlatformBridge extends PlatformBridgeBase {
                 case 'rewardedAd':
                 case 'skipAd':
                     this._setInterstitialState(INTERSTITIAL_STATE.CLOSED)
-                    window.removeEventListener('message', showAdHandler)
+                    removeShowAdListener()
                     break
                 case 'errAd':
                 case 'notFoundAd':
                     this._setInterstitialState(INTERSTITIAL_STATE.FAILED)
-                    window.removeEventListener('message', showAdHandler)
+                    removeShowAdListener()
                     break
                 default:
                     break
             }
         }
 
-        window.addEventListener('message', showAdHandler)
+        const removeShowAdListener = this._addEventListener(window, 'message', showAdHandler)
         window.parent.postMessage({ playdeck: { method: 'showAd' } }, '*')
     }
 
@@ -151,23 +152,23 @@ class PlayDeckPlatformBridge extends PlatformBridgeBase {
                 case 'rewardedAd':
                     this._setRewardedState(REWARDED_STATE.REWARDED)
                     this._setRewardedState(REWARDED_STATE.CLOSED)
-                    window.removeEventListener('message', showAdHandler)
+                    removeShowAdListener()
                     break
                 case 'skipAd':
                     this._setRewardedState(REWARDED_STATE.CLOSED)
-                    window.removeEventListener('message', showAdHandler)
+                    removeShowAdListener()
                     break
                 case 'errAd':
                 case 'notFoundAd':
                     this._setRewardedState(REWARDED_STATE.FAILED)
-                    window.removeEventListener('message', showAdHandler)
+                    removeShowAdListener()
                     break
                 default:
                     break
             }
         }
 
-        window.addEventListener('message', showAdHandler)
+        const removeShowAdListener = this._addEventListener(window, 'message', showAdHandler)
         window.parent.postMessage({ playdeck: { method: 'showAd' } }, '*')
     }
 
@@ -195,7 +196,7 @@ class PlayDeckPlatformBridge extends PlatformBridgeBase {
 
     getDataFromStorage(key, storageType, tryParseJson) {
         if (storageType === STORAGE_TYPE.PLATFORM_INTERNAL) {
-            return new Promise((resolve) => {
+            return this._runRequest(ACTION_NAME.GET_STORAGE_DATA, key, (request) => {
                 const result = {}
                 const keys = Array.isArray(key) ? key : [key]
 
@@ -204,20 +205,23 @@ class PlayDeckPlatformBridge extends PlatformBridgeBase {
                         return
                     }
 
+                    // Reads of other keys may be running at the same time, their replies are not ours
                     const pdData = data.playdeck
-
-                    if (pdData.method === 'getData') {
-                        result[pdData.key] = pdData.value.data
+                    if (pdData.method !== 'getData' || !keys.includes(pdData.key)) {
+                        return
                     }
 
-                    if (Object.keys(result).length === keys.length) {
+                    result[pdData.key] = pdData.value.data
+
+                    if (keys.every((k) => Object.prototype.hasOwnProperty.call(result, k))) {
                         window.removeEventListener('message', getDataHandler)
                         const values = Array.isArray(key) ? key.map((k) => result[k]) : result[key]
-                        resolve(values)
+                        this._resolvePromiseDecorator(request.id, values)
                     }
                 }
 
                 window.addEventListener('message', getDataHandler)
+                this._addRequestCleanup(request.id, () => window.removeEventListener('message', getDataHandler))
 
                 keys.forEach((k) => window.parent.postMessage({ playdeck: { method: 'getData', key: k } }, '*'))
             })
@@ -268,10 +272,7 @@ class PlayDeckPlatformBridge extends PlatformBridgeBase {
 
     // payments
     purchase(options) {
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.PURCHASE)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.PURCHASE)
-
+        return this._runRequest(ACTION_NAME.PURCHASE, options, (request) => {
             const requestPaymentHandler = ({ data }) => {
                 const playdeck = data?.playdeck
                 if (!playdeck) return
@@ -301,10 +302,17 @@ class PlayDeckPlatformBridge extends PlatformBridgeBase {
                 if (playdeck.method === 'invoiceClosed') {
                     if (playdeck.value.status === 'paid') {
                         window.removeEventListener('message', invoiceClosedHandler)
-                        this._resolvePromiseDecorator(ACTION_NAME.PURCHASE, playdeck.value)
+                        this._resolvePromiseDecorator(request.id, playdeck.value)
                     } else if (playdeck.value.status === 'cancelled' || playdeck.value.status === 'failed') {
                         window.removeEventListener('message', invoiceClosedHandler)
-                        this._rejectPromiseDecorator(ACTION_NAME.PURCHASE, playdeck.value)
+                        this._rejectPromiseDecorator(
+                            request.id,
+                            this._createError(
+                                playdeck.value.status === 'cancelled' ? ERROR.USER_CANCELLED : ERROR.PLATFORM_ERROR,
+                                ACTION_NAME.PURCHASE,
+                                playdeck.value,
+                            ),
+                        )
                     }
                 }
             }
@@ -313,15 +321,18 @@ class PlayDeckPlatformBridge extends PlatformBridgeBase {
 
             window.addEventListener('message', invoiceClosedHandler)
 
+            this._addRequestCleanup(request.id, () => {
+                window.removeEventListener('message', requestPaymentHandler)
+                window.removeEventListener('message', invoiceClosedHandler)
+            })
+
             window.parent.postMessage({
                 playdeck: {
                     method: 'requestPayment',
                     value: options,
                 },
             }, '*')
-        }
-
-        return promiseDecorator.promise
+        })
     }
 }
 
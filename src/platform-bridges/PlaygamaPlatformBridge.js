@@ -1,5 +1,4 @@
 import PlatformBridgeBase from './PlatformBridgeBase'
-import { addJavaScript, waitFor } from '../common/utils'
 import {
     PLATFORM_ID,
     ACTION_NAME,
@@ -28,13 +27,16 @@ class PlaygamaPlatformBridge extends PlatformBridgeBase {
         if (!promiseDecorator) {
             promiseDecorator = this._createPromiseDecorator(ACTION_NAME.INITIALIZE)
 
-            addJavaScript(SDK_URL).then(() => {
-                waitFor('PLAYGAMA_SDK').then(() => {
+            this._loadScript(SDK_URL)
+                .then(() => this._waitFor('PLAYGAMA_SDK'))
+                .then(() => {
                     this._platformSdk = window.PLAYGAMA_SDK
                     this._isInitialized = true
                     this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
                 })
-            })
+                .catch((error) => {
+                    this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, error)
+                })
         }
 
         return promiseDecorator.promise
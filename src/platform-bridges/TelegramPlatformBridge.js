@@ -1,5 +1,4 @@
 import PlatformBridgeBase from './PlatformBridgeBase'
-import { addJavaScript } from '../common/utils'
 import {
     PLATFORM_ID,
     ACTION_NAME,
@@ -8,6 +7,7 @@ import {
     STORAGE_TYPE,
     DEVICE_TYPE,
     PLATFORM_MESSAGE,
+    ERROR,
 } from '../constants'
 
 const SDK_URL = 'https://telegram.org/js/telegram-web-app.js'
@@ -68,32 +68,36 @@ class TelegramPlatformBridge extends PlatformBridgeBase {
         if (!promiseDecorator) {
             promiseDecorator = this._createPromiseDecorator(ACTION_NAME.INITIALIZE)
 
-            addJavaScript(SDK_URL).then(() => {
-                this._platformSdk = window.Telegram.WebApp
+            this._loadScript(SDK_URL)
+                .then(() => {
+                    this._platformSdk = window.Telegram.WebApp
 
-                const { initDataUnsafe } = this._platformSdk
-                const userData = initDataUnsafe.user
+                    const { initDataUnsafe } = this._platformSdk
+                    const userData = initDataUnsafe.user
 
-                this._playerId = userData.id
-                this._playerName = [userData.first_name, userData.last_name].filter(Boolean).join(' ')
-                this._playerPhotos = [userData.photo_url]
+                    this._playerId = userData.id
+                    this._playerName = [userData.first_name, userData.last_name].filter(Boolean).join(' ')
+                    this._playerPhotos = [userData.photo_url]
 
-                this.#platform = this._platformSdk.platform
+                    this.#platform = this._platformSdk.platform
 
-                this._isInitialized = true
+                    this._isInitialized = true
 
-                if (this._options && this._options.adsgramBlockId) {
-                    addJavaScript(ADS_SDK_URL)
-                        .then(() => {
-                            this.#adsController = window.Adsgram.init({ blockId: this._options.adsgramBlockId })
-                        })
-                        .finally(() => {
-                            this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
-                        })
-                } else {
-                    this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
-                }
-            })
+                    if (this._options && this._options.adsgramBlockId) {
+                        this._loadScript(ADS_SDK_URL, 'ads')
+                            .then(() => {
+                                this.#adsController = window.Adsgram.init({ blockId: this._options.adsgramBlockId })
+                            })
+                            .finally(() => {
+                                this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
+                            })
+                    } else {
+                        this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
+                    }
+                })
+                .catch((error) => {
+                    this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, error)
+                })
         }
 
         return promiseDecorator.promise
@@ -135,7 +139,7 @@ class TelegramPlatformBridge extends PlatformBridgeBase {
                 if (Array.isArray(key)) {
                     this._platformSdk.CloudStorage.getItems(key, (error, values) => {
                         if (error) {
-                            reject(error)
+                            reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.GET_STORAGE_DATA, error))
                             return
                         }
 
@@ -159,7 +163,10 @@ class TelegramPlatformBridge extends PlatformBridgeBase {
                     return
                 }
                 this._platformSdk.CloudStorage.getItem(key, (error, value) => {
-                    if (error) reject(error)
+                    if (error) {
+                        reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.GET_STORAGE_DATA, error))
+                        return
+                    }
 
                     let result = value
                     if (tryParseJson && typeof result === 'string') {
@@ -218,16 +225,13 @@ class TelegramPlatformBridge extends PlatformBridgeBase {
             this._setInterstitialState(INTERSTITIAL_STATE.FAILED)
             return
         }
-        this.#adsController.addEventListener('onStart', this.#interstitialListeners.onStart)
-        this.#adsController.addEventListener('onSkip', this.#interstitialListeners.onSkip)
-        this.#adsController.addEventListener('onError', this.#interstitialListeners.onError)
-        this.#adsController.addEventListener('onBannerNotFound', this.#interstitialListeners.onError)
-        this.#adsController.show().finally(() => {
-            this.#adsController.removeEventListener('onStart', this.#interstitialListeners.onStart)
-            this.#adsController.removeEventListener('onSkip', this.#interstitialListeners.onSkip)
-            this.#adsController.removeEventListener('onError', this.#interstitialListeners.onError)
-            this.#adsController.removeEventListener('onBannerNotFound', this.#interstitialListeners.onError)
+        const removeListeners = this.#addAdsListeners({
+            onStart: this.#interstitialListeners.onStart,
+            onSkip: this.#interstitialListeners.onSkip,
+            onError: this.#interstitialListeners.onError,
+            onBannerNotFound: this.#interstitialListeners.onError,
         })
+        this.#adsController.show().finally(removeListeners)
     }
 
     showRewarded() {
@@ -235,18 +239,14 @@ class TelegramPlatformBridge extends PlatformBridgeBase {
             this._setRewardedState(REWARDED_STATE.FAILED)
             return
         }
-        this.#adsController.addEventListener('onStart', this.#rewardedListeners.onStart)
-        this.#adsController.addEventListener('onSkip', this.#rewardedListeners.onSkip)
-        this.#adsController.addEventListener('onReward', this.#rewardedListeners.onReward)
-        this.#adsController.addEventListener('onError', this.#rewardedListeners.onError)
-        this.#adsController.addEventListener('onBannerNotFound', this.#rewardedListeners.onError)
-        this.#adsController.show().finally(() => {
-            this.#adsController.addEventListener('onStart', this.#rewardedListeners.onStart)
-            this.#adsController.addEventListener('onSkip', this.#rewardedListeners.onSkip)
-            this.#adsController.addEventListener('onReward', this.#rewardedListeners.onReward)
-            this.#adsController.addEventListener('onError', this.#rewardedListeners.onError)
-            this.#adsController.addEventListener('onBannerNotFound', this.#rewardedListeners.onError)
+        const removeListeners = this.#addAdsListeners({
+            onStart: this.#rewardedListeners.onStart,
+            onSkip: this.#rewardedListeners.onSkip,
+            onReward: this.#rewardedListeners.onReward,
+            onError: this.#rewardedListeners.onError,
+            onBannerNotFound: this.#rewardedListeners.onError,
         })
+        this.#adsController.show().finally(removeListeners)
     }
 
     // clipboard
@@ -260,7 +260,10 @@ class TelegramPlatformBridge extends PlatformBridgeBase {
                 if (text) {
                     this._resolvePromiseDecorator(ACTION_NAME.CLIPBOARD_READ, text)
                 } else {
-                    this._rejectPromiseDecorator(ACTION_NAME.CLIPBOARD_READ)
+                    this._rejectPromiseDecorator(
+                        ACTION_NAME.CLIPBOARD_READ,
+                        this._createError(ERROR.NOT_AVAILABLE, ACTION_NAME.CLIPBOARD_READ),
+                    )
                 }
             })
         }
@@ -280,6 +283,13 @@ class TelegramPlatformBridge extends PlatformBridgeBase {
         onSkip: () => this._setInterstitialState(INTERSTITIAL_STATE.CLOSED),
         onError: () => this._setInterstitialState(INTERSTITIAL_STATE.FAILED),
     }
+
+    #addAdsListeners(listeners) {
+        const removeListeners = Object.entries(listeners)
+            .map(([eventName, listener]) => this._addEventListener(this.#adsController, eventName, listener))
+
+        return () => removeListeners.forEach((removeListener) => removeListener())
+    }
 }
 
 export default TelegramPlatformBridge
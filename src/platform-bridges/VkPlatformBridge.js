@@ -1,5 +1,4 @@
 import PlatformBridgeBase from './PlatformBridgeBase'
-import { addJavaScript, waitFor } from '../common/utils'
 import {
     PLATFORM_ID,
     ACTION_NAME,
@@ -8,9 +7,11 @@ import {
     STORAGE_TYPE,
     DEVICE_TYPE,
     BANNER_STATE,
+    ERROR,
 } from '../constants'
 
 const SDK_URL = 'https://unpkg.com/@vkontakte/vk-bridge/dist/browser.min.js'
+const USER_DENIED_ERROR_CODE = 4
 
 class VkPlatformBridge extends PlatformBridgeBase {
     // platform
@@ -134,8 +135,9 @@ class VkPlatformBridge extends PlatformBridgeBase {
                 this.#platform = url.searchParams.get('platform')
             }
 
-            addJavaScript(SDK_URL).then(() => {
-                waitFor('vkBridge').then(() => {
+            this._loadScript(SDK_URL)
+                .then(() => this._waitFor('vkBridge'))
+                .then(() => {
                     this._platformSdk = window.vkBridge
                     this._platformSdk
                         .send('VKWebAppInit')
@@ -167,7 +169,9 @@ class VkPlatformBridge extends PlatformBridgeBase {
                                 })
                         })
                 })
-            })
+                .catch((error) => {
+                    this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, error)
+                })
         }
 
         return promiseDecorator.promise
@@ -251,11 +255,7 @@ class VkPlatformBridge extends PlatformBridgeBase {
                         resolve(value)
                     })
                     .catch((error) => {
-                        if (error && error.error_data && error.error_data.error_reason) {
-                            reject(error.error_data.error_reason)
-                        } else {
-                            reject()
-                        }
+                        reject(this.#createVkError(ACTION_NAME.GET_STORAGE_DATA, error))
                     })
             })
         }
@@ -279,6 +279,7 @@ class VkPlatformBridge extends PlatformBridgeBase {
                 }
 
                 return Promise.all(promises)
+                    .catch((error) => Promise.reject(this.#createVkError(ACTION_NAME.SET_STORAGE_DATA, error)))
             }
             const data = { key, value }
 
@@ -293,11 +294,7 @@ class VkPlatformBridge extends PlatformBridgeBase {
                         resolve()
                     })
                     .catch((error) => {
-                        if (error && error.error_data && error.error_data.error_reason) {
-                            reject(error.error_data.error_reason)
-                        } else {
-                            reject()
-                        }
+                        reject(this.#createVkError(ACTION_NAME.SET_STORAGE_DATA, error))
                     })
             })
         }
@@ -411,6 +408,22 @@ class VkPlatformBridge extends PlatformBridgeBase {
             })
     }
 
+    preloadInterstitial() {
+        return this.#sendRequestToVKBridge(
+            ACTION_NAME.PRELOAD_INTERSTITIAL,
+            'VKWebAppCheckNativeAds',
+            { ad_format: 'interstitial' },
+        )
+    }
+
+    preloadRewarded() {
+        return this.#sendRequestToVKBridge(
+            ACTION_NAME.PRELOAD_REWARDED,
+            'VKWebAppCheckNativeAds',
+            { ad_format: 'reward', use_waterfall: true },
+        )
+    }
+
     // social
     inviteFriends() {
         return this.#sendRequestToVKBridge(ACTION_NAME.INVITE_FRIENDS, 'VKWebAppShowInviteBox', { }, 'success')
@@ -418,7 +431,7 @@ class VkPlatformBridge extends PlatformBridgeBase {
 
     joinCommunity(options) {
         if (!options || !options.groupId) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.JOIN_COMMUNITY)
         }
 
         let { groupId } = options
@@ -426,7 +439,7 @@ class VkPlatformBridge extends PlatformBridgeBase {
         if (typeof groupId === 'string') {
             groupId = parseInt(groupId, 10)
             if (Number.isNaN(groupId)) {
-                return Promise.reject()
+                return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.JOIN_COMMUNITY)
             }
         }
 
@@ -460,7 +473,7 @@ class VkPlatformBridge extends PlatformBridgeBase {
 
     addToHomeScreen() {
         if (!this.isAddToHomeScreenSupported) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.ADD_TO_HOME_SCREEN)
         }
 
         return this.#sendRequestToVKBridge(ACTION_NAME.ADD_TO_HOME_SCREEN, 'VKWebAppAddToHomeScreen')
@@ -473,11 +486,11 @@ class VkPlatformBridge extends PlatformBridgeBase {
     // leaderboard
     showLeaderboardNativePopup(options) {
         if (!this.isLeaderboardNativePopupSupported) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.SHOW_LEADERBOARD_NATIVE_POPUP)
         }
 
         if (!options || !options.userResult) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.SHOW_LEADERBOARD_NATIVE_POPUP)
         }
 
         const data = { user_result: options.userResult }
@@ -494,26 +507,27 @@ class VkPlatformBridge extends PlatformBridgeBase {
     }
 
     #sendRequestToVKBridge(actionName, vkMethodName, parameters = { }, responseSuccessKey = 'result') {
-        let promiseDecorator = this._getPromiseDecorator(actionName)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(actionName)
-
+        return this._runRequest(actionName, parameters, (request) => {
             this._platformSdk
                 .send(vkMethodName, parameters)
                 .then((data) => {
                     if (data[responseSuccessKey]) {
-                        this._resolvePromiseDecorator(actionName)
+                        this._resolvePromiseDecorator(request.id)
                         return
                     }
 
-                    this._rejectPromiseDecorator(actionName)
+                    this._rejectPromiseDecorator(request.id)
                 })
                 .catch((error) => {
-                    this._rejectPromiseDecorator(actionName, error)
+                    this._rejectPromiseDecorator(request.id, this.#createVkError(actionName, error))
                 })
-        }
+        })
+    }
 
-        return promiseDecorator.promise
+    #createVkError(actionName, error) {
+        const errorData = error && error.error_data
+        const isDenied = errorData && errorData.error_code === USER_DENIED_ERROR_CODE
+        return this._createError(isDenied ? ERROR.USER_CANCELLED : ERROR.PLATFORM_ERROR, actionName, error)
     }
 }
 
@@ -1,5 +1,4 @@
 import PlatformBridgeBase from './PlatformBridgeBase'
-import { addJavaScript, waitFor } from '../common/utils'
 import {
     PLATFORM_ID,
     REWARDED_STATE,
@@ -36,7 +35,10 @@ class VkPlayPlatformBridge extends PlatformBridgeBase {
             promiseDecorator = this._createPromiseDecorator(ACTION_NAME.INITIALIZE)
 
             if (!this._options || !this._options.gameId) {
-                this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, ERROR.VK_PLAY_GAME_ID_IS_UNDEFINED)
+                this._rejectPromiseDecorator(
+                    ACTION_NAME.INITIALIZE,
+                    this._createError(ERROR.VK_PLAY_GAME_ID_IS_UNDEFINED, ACTION_NAME.INITIALIZE),
+                )
             } else {
                 const { gameId } = this._options
                 const options = {
@@ -49,16 +51,15 @@ class VkPlayPlatformBridge extends PlatformBridgeBase {
                     paymentReceivedCallback: (data) => this.#onPaymentReceived(data),
                 }
 
-                addJavaScript(`https://vkplay.ru/app/${gameId}/static/mailru.core.js`)
-                    .then(() => {
-                        waitFor('iframeApi')
-                            .then(() => {
-                                window.iframeApi(options)
-                                    .then((sdk) => {
-                                        this._platformSdk = sdk
-                                        this._platformSdk.getLoginStatus()
-                                    })
-                            })
+                this._loadScript(`https://vkplay.ru/app/${gameId}/static/mailru.core.js`)
+                    .then(() => this._waitFor('iframeApi'))
+                    .then(() => window.iframeApi(options))
+                    .then((sdk) => {
+                        this._platformSdk = sdk
+                        this._platformSdk.getLoginStatus()
+                    })
+                    .catch((error) => {
+                        this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, error)
                     })
             }
         }
@@ -117,16 +118,12 @@ class VkPlayPlatformBridge extends PlatformBridgeBase {
 
     purchase(options) {
         if (!options) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.PURCHASE)
         }
 
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.PURCHASE)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.PURCHASE)
+        return this._runRequest(ACTION_NAME.PURCHASE, options, () => {
             this._platformSdk.paymentFrameItem(options)
-        }
-
-        return promiseDecorator.promise
+        })
     }
 
     #onShowAdsCompleted(data) {
@@ -194,7 +191,10 @@ class VkPlayPlatformBridge extends PlatformBridgeBase {
 
     #onGetGameInventoryItemsCompleted(data) {
         if (data?.length === 0) {
-            this._rejectPromiseDecorator(ACTION_NAME.GET_CATALOG)
+            this._rejectPromiseDecorator(
+                ACTION_NAME.GET_CATALOG,
+                this._createError(ERROR.NOT_AVAILABLE, ACTION_NAME.GET_CATALOG),
+            )
             return
         }
 
@@ -7,8 +7,8 @@ import {
     PLATFORM_MESSAGE,
     REWARDED_STATE,
     STORAGE_TYPE,
+    ERROR,
 } from '../constants'
-import { addJavaScript, waitFor } from '../common/utils'
 
 const SDK_URL = 'https://storage.googleapis.com/cdn-wortal-ai/v2/wortal-core.js'
 
@@ -55,20 +55,19 @@ class WortalPlatformBridge extends PlatformBridgeBase {
         if (!promiseDecorator) {
             promiseDecorator = this._createPromiseDecorator(ACTION_NAME.INITIALIZE)
 
-            addJavaScript(SDK_URL)
+            this._loadScript(SDK_URL)
+                .then(() => this._waitFor('Wortal', 'initializeAsync'))
+                .then(() => window.Wortal.initializeAsync())
                 .then(() => {
-                    waitFor('Wortal', 'initializeAsync')
-                        .then(() => {
-                            window.Wortal.initializeAsync()
-                                .then(() => {
-                                    this._platformSdk = window.Wortal
-                                    this.#supportedApis = this._platformSdk.getSupportedAPIs()
-                                    this._isBannerSupported = this.#supportedApis.includes('ads.showBanner')
-                                    this._platformSdk.player.onLogin(this.#updatePlayerInfo)
-                                    this._isInitialized = true
-                                    this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
-                                })
-                        })
+                    this._platformSdk = window.Wortal
+                    this.#supportedApis = this._platformSdk.getSupportedAPIs()
+                    this._isBannerSupported = this.#supportedApis.includes('ads.showBanner')
+                    this._platformSdk.player.onLogin(this.#updatePlayerInfo)
+                    this._isInitialized = true
+                    this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
+                })
+                .catch((error) => {
+                    this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, error)
                 })
         }
 
@@ -233,7 +232,7 @@ class WortalPlatformBridge extends PlatformBridgeBase {
                         this._platformStorageCachedData[key] = value
                         resolve(value)
                     })
-                    .catch((error) => reject(error))
+                    .catch((error) => reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.GET_STORAGE_DATA, error)))
             })
         }
 
@@ -260,7 +259,7 @@ class WortalPlatformBridge extends PlatformBridgeBase {
                         this._platformStorageCachedData = data
                         resolve()
                     })
-                    .catch((error) => reject(error))
+                    .catch((error) => reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.SET_STORAGE_DATA, error)))
             })
         }
 
@@ -287,7 +286,7 @@ class WortalPlatformBridge extends PlatformBridgeBase {
                         this._platformStorageCachedData = data
                         resolve()
                     })
-                    .catch((error) => reject(error))
+                    .catch((error) => reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.DELETE_STORAGE_DATA, error)))
             })
         }
 
@@ -1,5 +1,4 @@
 import PlatformBridgeBase from './PlatformBridgeBase'
-import { addJavaScript, waitFor } from '../common/utils'
 import {
     PLATFORM_ID,
     ACTION_NAME,
@@ -9,6 +8,7 @@ import {
     DEVICE_TYPE,
     BANNER_STATE,
     PLATFORM_MESSAGE,
+    ERROR,
 } from '../constants'
 
 const SDK_URL = '/sdk.js'
@@ -122,68 +122,67 @@ class YandexPlatformBridge extends PlatformBridgeBase {
         if (!promiseDecorator) {
             promiseDecorator = this._createPromiseDecorator(ACTION_NAME.INITIALIZE)
 
-            addJavaScript(SDK_URL)
-                .then(() => {
-                    waitFor('YaGames', 'init')
-                        .then(() => {
-                            window.YaGames.init()
-                                .then((sdk) => {
-                                    this._platformSdk = sdk
-
-                                    const getPlayerPromise = this.#getPlayer()
-
-                                    const reportPluginEnginePromise = this._platformSdk.features.PluginEngineDataReporterAPI?.report({
-                                        engineName: '',
-                                        engineVersion: '',
-                                        pluginName: PLUGIN_NAME,
-                                        pluginVersion: PLUGIN_VERSION,
-                                    })
-
-                                    const checkAddToHomeScreenSupportedPromise = this._platformSdk.shortcut.canShowPrompt()
-                                        .then((prompt) => {
-                                            this.#isAddToHomeScreenSupported = prompt.canShow
-                                        })
-
-                                    const checkAddToHomeScreenSupportedTimeoutPromise = new Promise((resolve) => {
-                                        setTimeout(resolve, 1000)
-                                    })
-                                    const checkAddToHomeScreenSupportedRacePromise = Promise.race([
-                                        checkAddToHomeScreenSupportedPromise,
-                                        checkAddToHomeScreenSupportedTimeoutPromise,
-                                    ])
-
-                                    const getLeaderboardsPromise = this._platformSdk.getLeaderboards()
-                                        .then((leaderboards) => {
-                                            this.#leaderboards = leaderboards
-                                        })
-
-                                    const getPaymentsPromise = this._platformSdk.getPayments()
-                                        .then((payments) => {
-                                            this.#payments = payments
-                                        })
-
-                                    this._isBannerSupported = true
-                                    const getBannerStatePromise = this._platformSdk.adv.getBannerAdvStatus()
-                                        .then((data) => {
-                                            if (data.stickyAdvIsShowing) {
-                                                this._setBannerState(BANNER_STATE.SHOWN)
-                                            }
-                                        })
-
-                                    Promise.all([
-                                        getPlayerPromise,
-                                        reportPluginEnginePromise,
-                                        checkAddToHomeScreenSupportedRacePromise,
-                                        getLeaderboardsPromise,
-                                        getPaymentsPromise,
-                                        getBannerStatePromise,
-                                    ])
-                                        .finally(() => {
-                                            this._isInitialized = true
-                                            this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
-                                        })
-                                })
+            this._loadScript(SDK_URL)
+                .then(() => this._waitFor('YaGames', 'init'))
+                .then(() => window.YaGames.init())
+                .then((sdk) => {
+                    this._platformSdk = sdk
+
+                    const getPlayerPromise = this.#getPlayer()
+
+                    const reportPluginEnginePromise = this._platformSdk.features.PluginEngineDataReporterAPI?.report({
+                        engineName: '',
+                        engineVersion: '',
+                        pluginName: PLUGIN_NAME,
+                        pluginVersion: PLUGIN_VERSION,
+                    })
+
+                    const checkAddToHomeScreenSupportedPromise = this._platformSdk.shortcut.canShowPrompt()
+                        .then((prompt) => {
+                            this.#isAddToHomeScreenSupported = prompt.canShow
+                        })
+
+                    const checkAddToHomeScreenSupportedTimeoutPromise = new Promise((resolve) => {
+                        setTimeout(resolve, 1000)
+                    })
+                    const checkAddToHomeScreenSupportedRacePromise = Promise.race([
+                        checkAddToHomeScreenSupportedPromise,
+                        checkAddToHomeScreenSupportedTimeoutPromise,
+                    ])
+
+                    const getLeaderboardsPromise = this._platformSdk.getLeaderboards()
+                        .then((leaderboards) => {
+                            this.#leaderboards = leaderboards
+                        })
+
+                    const getPaymentsPromise = this._platformSdk.getPayments()
+                        .then((payments) => {
+                            this.#payments = payments
+                        })
+
+                    this._isBannerSupported = true
+                    const getBannerStatePromise = this._platformSdk.adv.getBannerAdvStatus()
+                        .then((data) => {
+                            if (data.stickyAdvIsShowing) {
+                                this._setBannerState(BANNER_STATE.SHOWN)
+                            }
                         })
+
+                    Promise.all([
+                        getPlayerPromise,
+                        reportPluginEnginePromise,
+                        checkAddToHomeScreenSupportedRacePromise,
+                        getLeaderboardsPromise,
+                        getPaymentsPromise,
+                        getBannerStatePromise,
+                    ])
+                        .finally(() => {
+                            this._isInitialized = true
+                            this._resolvePromiseDecorator(ACTION_NAME.INITIALIZE)
+                        })
+                })
+                .catch((error) => {
+                    this._rejectPromiseDecorator(ACTION_NAME.INITIALIZE, error)
                 })
         }
 
@@ -238,7 +237,10 @@ class YandexPlatformBridge extends PlatformBridgeBase {
                             })
                     })
                     .catch((error) => {
-                        this._rejectPromiseDecorator(ACTION_NAME.AUTHORIZE_PLAYER, error)
+                        this._rejectPromiseDecorator(
+                            ACTION_NAME.AUTHORIZE_PLAYER,
+                            this._createError(ERROR.USER_CANCELLED, ACTION_NAME.AUTHORIZE_PLAYER, error),
+                        )
                     })
             }
         }
@@ -266,7 +268,7 @@ class YandexPlatformBridge extends PlatformBridgeBase {
     getDataFromStorage(key, storageType, tryParseJson) {
         if (storageType === STORAGE_TYPE.PLATFORM_INTERNAL) {
             if (!this._isPlayerAuthorized) {
-                return Promise.reject()
+                return this._rejectWithError(ERROR.NOT_AUTHORIZED, ACTION_NAME.GET_STORAGE_DATA)
             }
 
             return new Promise((resolve, reject) => {
@@ -313,10 +315,10 @@ class YandexPlatformBridge extends PlatformBridgeBase {
                             resolve(typeof this._platformStorageCachedData[key] === 'undefined' ? null : this._platformStorageCachedData[key])
                         })
                         .catch((error) => {
-                            reject(error)
+                            reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.GET_STORAGE_DATA, error))
                         })
                 } else {
-                    reject()
+                    reject(this._createError(ERROR.STORAGE_NOT_AVAILABLE, ACTION_NAME.GET_STORAGE_DATA))
                 }
             })
         }
@@ -346,10 +348,10 @@ class YandexPlatformBridge extends PlatformBridgeBase {
                             resolve()
                         })
                         .catch((error) => {
-                            reject(error)
+                            reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.SET_STORAGE_DATA, error))
                         })
                 } else {
-                    reject()
+                    reject(this._createError(ERROR.STORAGE_NOT_AVAILABLE, ACTION_NAME.SET_STORAGE_DATA))
                 }
             })
         }
@@ -379,10 +381,10 @@ class YandexPlatformBridge extends PlatformBridgeBase {
                             resolve()
                         })
                         .catch((error) => {
-                            reject(error)
+                            reject(this._createError(ERROR.PLATFORM_ERROR, ACTION_NAME.DELETE_STORAGE_DATA, error))
                         })
                 } else {
-                    reject()
+                    reject(this._createError(ERROR.STORAGE_NOT_AVAILABLE, ACTION_NAME.DELETE_STORAGE_DATA))
                 }
             })
         }
@@ -428,7 +430,7 @@ class YandexPlatformBridge extends PlatformBridgeBase {
                     }
                 },
                 onError: (err) => {
-                    console.error(err)
+                    this._logger.error(this.platformId, 'Interstitial error', err)
                 },
             },
         })
@@ -463,7 +465,7 @@ class YandexPlatformBridge extends PlatformBridgeBase {
     // social
     addToHomeScreen() {
         if (!this.isAddToHomeScreenSupported) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.NOT_SUPPORTED, ACTION_NAME.ADD_TO_HOME_SCREEN)
         }
 
         let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.ADD_TO_HOME_SCREEN)
@@ -473,11 +475,16 @@ class YandexPlatformBridge extends PlatformBridgeBase {
             this._platformSdk.shortcut.showPrompt()
                 .then((result) => {
                     if (result.outcome === 'accepted') {
+                        // The prompt can't be shown again once the shortcut is added
+                        this.#isAddToHomeScreenSupported = false
                         this._resolvePromiseDecorator(ACTION_NAME.ADD_TO_HOME_SCREEN)
                         return
                     }
 
-                    this._rejectPromiseDecorator(ACTION_NAME.ADD_TO_HOME_SCREEN)
+                    this._rejectPromiseDecorator(
+                        ACTION_NAME.ADD_TO_HOME_SCREEN,
+                        this._createError(ERROR.USER_CANCELLED, ACTION_NAME.ADD_TO_HOME_SCREEN, result),
+                    )
                 })
                 .catch((error) => {
                     this._rejectPromiseDecorator(ACTION_NAME.ADD_TO_HOME_SCREEN, error)
@@ -502,7 +509,10 @@ class YandexPlatformBridge extends PlatformBridgeBase {
                                     return
                                 }
 
-                                this._rejectPromiseDecorator(ACTION_NAME.RATE)
+                                this._rejectPromiseDecorator(
+                                    ACTION_NAME.RATE,
+                                    this._createError(ERROR.USER_CANCELLED, ACTION_NAME.RATE),
+                                )
                             })
                             .catch((error) => {
                                 this._rejectPromiseDecorator(ACTION_NAME.RATE, error)
@@ -511,7 +521,10 @@ class YandexPlatformBridge extends PlatformBridgeBase {
                         return
                     }
 
-                    this._rejectPromiseDecorator(ACTION_NAME.RATE, result.reason)
+                    this._rejectPromiseDecorator(
+                        ACTION_NAME.RATE,
+                        this._createError(ERROR.NOT_AVAILABLE, ACTION_NAME.RATE, result.reason),
+                    )
                 })
                 .catch((error) => {
                     this._rejectPromiseDecorator(ACTION_NAME.RATE, error)
@@ -524,17 +537,18 @@ class YandexPlatformBridge extends PlatformBridgeBase {
     // leaderboard
     setLeaderboardScore(options) {
         if (!this._isPlayerAuthorized) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.NOT_AUTHORIZED, ACTION_NAME.SET_LEADERBOARD_SCORE)
         }
 
-        if (!this.#leaderboards || !options || !options.score || !options.leaderboardName) {
-            return Promise.reject()
+        if (!this.#leaderboards) {
+            return this._rejectWithError(ERROR.NOT_AVAILABLE, ACTION_NAME.SET_LEADERBOARD_SCORE)
         }
 
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.SET_LEADERBOARD_SCORE)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.SET_LEADERBOARD_SCORE)
+        if (!options || !options.score || !options.leaderboardName) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.SET_LEADERBOARD_SCORE)
+        }
 
+        return this._runRequest(ACTION_NAME.SET_LEADERBOARD_SCORE, options, (request) => {
             if (typeof options.score === 'string') {
                 // eslint-disable-next-line no-param-reassign
                 options.score = parseInt(options.score, 10)
@@ -542,50 +556,48 @@ class YandexPlatformBridge extends PlatformBridgeBase {
 
             this.#leaderboards.setLeaderboardScore(options.leaderboardName, options.score)
                 .then(() => {
-                    this._resolvePromiseDecorator(ACTION_NAME.SET_LEADERBOARD_SCORE)
+                    this._resolvePromiseDecorator(request.id)
                 })
                 .catch((error) => {
-                    this._rejectPromiseDecorator(ACTION_NAME.SET_LEADERBOARD_SCORE, error)
+                    this._rejectPromiseDecorator(request.id, error)
                 })
-        }
-
-        return promiseDecorator.promise
+        })
     }
 
     getLeaderboardScore(options) {
         if (!this._isPlayerAuthorized) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.NOT_AUTHORIZED, ACTION_NAME.GET_LEADERBOARD_SCORE)
         }
 
-        if (!this.#leaderboards || !options || !options.leaderboardName) {
-            return Promise.reject()
+        if (!this.#leaderboards) {
+            return this._rejectWithError(ERROR.NOT_AVAILABLE, ACTION_NAME.GET_LEADERBOARD_SCORE)
         }
 
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.GET_LEADERBOARD_SCORE)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.GET_LEADERBOARD_SCORE)
+        if (!options || !options.leaderboardName) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.GET_LEADERBOARD_SCORE)
+        }
 
+        return this._runRequest(ACTION_NAME.GET_LEADERBOARD_SCORE, options, (request) => {
             this.#leaderboards.getLeaderboardPlayerEntry(options.leaderboardName)
                 .then((result) => {
-                    this._resolvePromiseDecorator(ACTION_NAME.GET_LEADERBOARD_SCORE, result.score)
+                    this._resolvePromiseDecorator(request.id, result.score)
                 })
                 .catch((error) => {
-                    this._rejectPromiseDecorator(ACTION_NAME.GET_LEADERBOARD_SCORE, error)
+                    this._rejectPromiseDecorator(request.id, error)
                 })
-        }
-
-        return promiseDecorator.promise
+        })
     }
 
     getLeaderboardEntries(options) {
-        if (!this.#leaderboards || !options || !options.leaderboardName) {
-            return Promise.reject()
+        if (!this.#leaderboards) {
+            return this._rejectWithError(ERROR.NOT_AVAILABLE, ACTION_NAME.GET_LEADERBOARD_ENTRIES)
         }
 
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.GET_LEADERBOARD_ENTRIES)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.GET_LEADERBOARD_ENTRIES)
+        if (!options || !options.leaderboardName) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.GET_LEADERBOARD_ENTRIES)
+        }
 
+        return this._runRequest(ACTION_NAME.GET_LEADERBOARD_ENTRIES, options, (request) => {
             const parameters = {
                 includeUser: false,
                 quantityAround: 5,
@@ -628,41 +640,38 @@ class YandexPlatformBridge extends PlatformBridgeBase {
                         }))
                     }
 
-                    this._resolvePromiseDecorator(ACTION_NAME.GET_LEADERBOARD_ENTRIES, entries)
+                    this._resolvePromiseDecorator(request.id, entries)
                 })
                 .catch((error) => {
-                    this._rejectPromiseDecorator(ACTION_NAME.GET_LEADERBOARD_ENTRIES, error)
+                    this._rejectPromiseDecorator(request.id, error)
                 })
-        }
-
-        return promiseDecorator.promise
+        })
     }
 
     // payments
     purchase(options) {
-        if (!this.#payments || !options.id) {
-            return Promise.reject()
+        if (!this.#payments) {
+            return this._rejectWithError(ERROR.NOT_AVAILABLE, ACTION_NAME.PURCHASE)
         }
 
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.PURCHASE)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.PURCHASE)
+        if (!options || !options.id) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.PURCHASE)
+        }
 
+        return this._runRequest(ACTION_NAME.PURCHASE, options, (request) => {
             this.#payments.purchase(options)
                 .then((result) => {
-                    this._resolvePromiseDecorator(ACTION_NAME.PURCHASE, result)
+                    this._resolvePromiseDecorator(request.id, result)
                 })
                 .catch((error) => {
-                    this._rejectPromiseDecorator(ACTION_NAME.PURCHASE, error)
+                    this._rejectPromiseDecorator(request.id, error)
                 })
-        }
-
-        return promiseDecorator.promise
+        })
     }
 
     getPaymentsPurchases() {
         if (!this.#payments) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.NOT_AVAILABLE, ACTION_NAME.GET_PURCHASES)
         }
 
         let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.GET_PURCHASES)
@@ -689,7 +698,7 @@ class YandexPlatformBridge extends PlatformBridgeBase {
 
     getPaymentsCatalog() {
         if (!this.#payments) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.NOT_AVAILABLE, ACTION_NAME.GET_CATALOG)
         }
 
         let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.GET_CATALOG)
@@ -719,69 +728,59 @@ class YandexPlatformBridge extends PlatformBridgeBase {
     }
 
     consumePurchase(options) {
-        if (!this.#payments || !options.purchaseToken) {
-            return Promise.reject()
+        if (!this.#payments) {
+            return this._rejectWithError(ERROR.NOT_AVAILABLE, ACTION_NAME.CONSUME_PURCHASE)
         }
 
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.CONSUME_PURCHASE)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.CONSUME_PURCHASE)
+        if (!options || !options.purchaseToken) {
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.CONSUME_PURCHASE)
+        }
 
+        return this._runRequest(ACTION_NAME.CONSUME_PURCHASE, options, (request) => {
             this.#payments.consumePurchase(options.purchaseToken)
                 .then((result) => {
-                    this._resolvePromiseDecorator(ACTION_NAME.CONSUME_PURCHASE, result)
+                    this._resolvePromiseDecorator(request.id, result)
                 })
                 .catch((error) => {
-                    this._rejectPromiseDecorator(ACTION_NAME.CONSUME_PURCHASE, error)
+                    this._rejectPromiseDecorator(request.id, error)
                 })
-        }
-        return promiseDecorator.promise
+        })
     }
 
     // config
     getRemoteConfig(options) {
         if (!this._platformSdk) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.NOT_AVAILABLE, ACTION_NAME.GET_REMOTE_CONFIG)
         }
 
         if (options && (!options?.defaultFlags && !options?.clientFeatures)) {
-            return Promise.reject()
+            return this._rejectWithError(ERROR.INVALID_OPTIONS, ACTION_NAME.GET_REMOTE_CONFIG)
         }
 
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.GET_REMOTE_CONFIG)
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.GET_REMOTE_CONFIG)
-
+        return this._runRequest(ACTION_NAME.GET_REMOTE_CONFIG, options, (request) => {
             const getFlags = options ? this._platformSdk.getFlags(options) : this._platformSdk.getFlags()
 
             getFlags
                 .then((result) => {
-                    this._resolvePromiseDecorator(ACTION_NAME.GET_REMOTE_CONFIG, result)
+                    this._resolvePromiseDecorator(request.id, result)
                 })
                 .catch((error) => {
-                    this._rejectPromiseDecorator(ACTION_NAME.GET_REMOTE_CONFIG, error)
+                    this._rejectPromiseDecorator(request.id, error)
                 })
-        }
-        return promiseDecorator.promise
+        })
     }
 
     // clipboard
     clipboardWrite(text) {
-        let promiseDecorator = this._getPromiseDecorator(ACTION_NAME.CLIPBOARD_WRITE)
-
-        if (!promiseDecorator) {
-            promiseDecorator = this._createPromiseDecorator(ACTION_NAME.CLIPBOARD_WRITE)
-
+        return this._runRequest(ACTION_NAME.CLIPBOARD_WRITE, text, (request) => {
             this._platformSdk.clipboard.writeText(text)
                 .then(() => {
-                    this._resolvePromiseDecorator(ACTION_NAME.CLIPBOARD_WRITE, true)
+                    this._resolvePromiseDecorator(request.id, true)
                 })
                 .catch((error) => {
-                    this._rejectPromiseDecorator(ACTION_NAME.CLIPBOARD_WRITE, error)
+                    this._rejectPromiseDecorator(request.id, error)
                 })
-        }
-
-        return promiseDecorator.promise
+        })
     }
 
     #getPlayer(options) {
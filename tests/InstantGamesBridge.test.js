@@ -0,0 +1,95 @@
+import {
+    describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest'
+import InstantGamesBridge from '../src/InstantGamesBridge'
+import PlatformBridgeBase from '../src/platform-bridges/PlatformBridgeBase'
+import {
+    ADVERTISEMENT_RESULT_REASON, DETECTION_SOURCE, ERROR, ERROR_CODE, PLATFORM_ID,
+} from '../src/constants'
+import { stubBrowser } from './environment'
+
+class BrokenPlatformBridge extends PlatformBridgeBase {
+    get platformId() {
+        return 'broken'
+    }
+
+    initialize() {
+        return Promise.reject(new Error('SDK script was blocked'))
+    }
+}
+
+describe('InstantGamesBridge fallback', () => {
+    let bridge
+
+    beforeEach(() => {
+        stubBrowser({ href: 'http://localhost/?mock_player_authorized=true' })
+        vi.stubGlobal('navigator', { language: 'en-US', userAgent: 'node' })
+        vi.spyOn(console, 'info').mockImplementation(() => { })
+        vi.spyOn(console, 'error').mockImplementation(() => { })
+        bridge = new InstantGamesBridge()
+        bridge.registerPlatform('broken', BrokenPlatformBridge)
+    })
+
+    afterEach(async () => {
+        await bridge.destroy()
+        vi.restoreAllMocks()
+        vi.unstubAllGlobals()
+    })
+
+    it('rejects when the fallback is not asked for', async () => {
+        await expect(bridge.initialize({ forciblySetPlatformId: 'broken' }))
+            .rejects.toMatchObject({ code: ERROR.INITIALIZATION_FAILED.code })
+    })
+
+    it('boots with degraded capabilities which grant no reward and no purchase', async () => {
+        await bridge.initialize({ forciblySetPlatformId: 'broken', fallbackToMock: true })
+
+        expect(bridge.platform.id).toBe(PLATFORM_ID.MOCK)
+        expect(bridge.platform.detectionReport.source).toBe(DETECTION_SOURCE.FALLBACK)
+        expect(bridge.initializationError).toMatchObject({ code: ERROR.INITIALIZATION_FAILED.code })
+
+        expect(bridge.player.isAuthorizationSupported).toBe(false)
+        expect(bridge.player.isAuthorized).toBe(false)
+        expect(bridge.payments.isSupported).toBe(false)
+        expect(bridge.leaderboard.isSupported).toBe(false)
+
+        await expect(bridge.advertisement.showRewarded())
+            .resolves.toMatchObject({ shown: false, rewarded: false, reason: ADVERTISEMENT_RESULT_REASON.FAILED })
+        await expect(bridge.payments.purchase({ id: 'mock_product' }))
+            .rejects.toMatchObject({ code: ERROR_CODE.NOT_SUPPORTED })
+        await expect(bridge.player.authorize()).rejects.toMatchObject({ code: ERROR_CODE.NOT_SUPPORTED })
+    })
+})
+
+describe('InstantGamesBridge diagnostics', () => {
+    const launchData = 'tgWebAppData=user%3Dsecret%26hash%3Dsecret'
+    let bridge
+
+    beforeEach(() => {
+        stubBrowser({
+            href: `https://game.example/play/?session=secret#${launchData}`,
+            referrer: 'https://web.telegram.org/k/?tgWebAppData=secret#secret',
+        })
+        vi.stubGlobal('navigator', { language: 'en-US', userAgent: 'node' })
+        vi.spyOn(console, 'info').mockImplementation(() => { })
+        vi.spyOn(console, 'error').mockImplementation(() => { })
+        bridge = new InstantGamesBridge()
+        bridge.registerPlatform(PLATFORM_ID.TELEGRAM, BrokenPlatformBridge)
+    })
+
+    afterEach(async () => {
+        await bridge.destroy()
+        vi.restoreAllMocks()
+        vi.unstubAllGlobals()
+    })
+
+    it('leaves the launch data of the player out of the report', async () => {
+        await bridge.initialize({ fallbackToMock: true })
+        const { detectionReport } = bridge.getDiagnostics().platform
+
+        expect(detectionReport.matchedRule).toBe('telegram_hash')
+        expect(detectionReport.url).toBe('https://game.example/play/')
+        expect(detectionReport.referrer).toBe('https://web.telegram.org/k/')
+        expect(JSON.stringify(bridge.getDiagnostics())).not.toContain('secret')
+    })
+})
@@ -0,0 +1,140 @@
+import {
+    describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest'
+import EventLite from 'event-lite'
+import CommandInterface, { RESPONSE_TYPE } from '../../src/common/CommandInterface'
+import GameModule from '../../src/modules/GameModule'
+import PlatformModule from '../../src/modules/PlatformModule'
+import PlatformBridgeBase from '../../src/platform-bridges/PlatformBridgeBase'
+import {
+    ERROR, EVENT_NAME, MODULE_NAME, PAUSE_STATE, PLATFORM_ID,
+} from '../../src/constants'
+import { stubBrowser } from '../environment'
+
+const execute = (commandInterface, command) => commandInterface.execute(JSON.stringify(command)).then(JSON.parse)
+
+describe('CommandInterface', () => {
+    let bridge
+    let platformBridge
+    let modules
+    let commandInterface
+
+    beforeEach(() => {
+        stubBrowser()
+        platformBridge = new PlatformBridgeBase()
+        const platformModule = new PlatformModule(platformBridge)
+        modules = {
+            [MODULE_NAME.PLATFORM]: platformModule,
+            [MODULE_NAME.GAME]: new GameModule(platformBridge, undefined, platformModule),
+        }
+
+        bridge = {
+            isInitialized: true,
+            initialize: vi.fn(() => Promise.resolve()),
+            getDiagnostics: () => ({ platformId: PLATFORM_ID.MOCK }),
+        }
+        EventLite.mixin(bridge)
+        commandInterface = new CommandInterface(bridge, (moduleName) => modules[moduleName])
+    })
+
+    afterEach(() => {
+        Object.values(modules).forEach((module) => module._destroy())
+        platformBridge.destroy()
+        vi.unstubAllGlobals()
+    })
+
+    it('rejects commands which are not valid JSON or miss the module and method', async () => {
+        await expect(commandInterface.execute('{ module: ').then(JSON.parse)).resolves.toMatchObject({
+            id: null, type: RESPONSE_TYPE.ERROR, error: { code: ERROR.COMMAND_IS_INVALID.code },
+        })
+        await expect(execute(commandInterface, { id: 1, module: 'platform' }))
+            .resolves.toMatchObject({ id: 1, error: { code: ERROR.COMMAND_IS_INVALID.code } })
+    })
+
+    it('reads getters and calls methods of the allow-list', async () => {
+        await expect(execute(commandInterface, { id: 1, module: 'platform', method: 'id' }))
+            .resolves.toEqual({ id: 1, type: RESPONSE_TYPE.RESULT, data: PLATFORM_ID.MOCK })
+        await expect(execute(commandInterface, { id: 2, module: 'game', method: 'pauseState' }))
+            .resolves.toMatchObject({ data: PAUSE_STATE.RESUMED })
+        await expect(execute(commandInterface, { id: 3, module: 'platform', method: 'sendMessage', args: ['game_ready'] }))
+            .resolves.toEqual({ id: 3, type: RESPONSE_TYPE.RESULT, data: null })
+    })
+
+    it('passes a single argument which is not an array', async () => {
+        const response = await execute(commandInterface, {
+            id: 1, module: 'bridge', method: 'initialize', args: { platformId: PLATFORM_ID.MOCK },
+        })
+
+        expect(response.type).toBe(RESPONSE_TYPE.RESULT)
+        expect(bridge.initialize).toHaveBeenCalledWith({ platformId: PLATFORM_ID.MOCK })
+    })
+
+    it('rejects members outside the allow-list', async () => {
+        const methods = [
+            ['platform', 'sdk'],
+            ['platform', 'onState'],
+            ['game', 'enableAutoPause'],
+            ['game', '_destroy'],
+            ['game', 'constructor'],
+            ['game', 'toString'],
+            ['game', '__proto__'],
+            ['bridge', 'destroy'],
+            ['nowhere', 'id'],
+        ]
+
+        const responses = await Promise.all(methods.map(([module, method]) => execute(
+            commandInterface,
+            { id: 1, module, method },
+        )))
+
+        responses.forEach((response) => {
+            expect(response).toMatchObject({ type: RESPONSE_TYPE.ERROR, error: { code: ERROR.COMMAND_NOT_FOUND.code } })
+        })
+    })
+
+    it('rejects module commands until the bridge is initialized', async () => {
+        bridge.isInitialized = false
+
+        await expect(execute(commandInterface, { id: 1, module: 'platform', method: 'id' }))
+            .resolves.toMatchObject({ error: { code: ERROR.SDK_NOT_INITIALIZED.code } })
+    })
+
+    it('sends bridge events to subscriptions until they are removed', async () => {
+        const callback = vi.fn()
+        await commandInterface.execute(JSON.stringify({
+            id: 'pause', module: 'bridge', method: 'on', args: ['game:pause_state_changed'],
+        }), callback)
+        await commandInterface.execute(JSON.stringify({
+            id: 'any', module: 'bridge', method: 'on', args: [EVENT_NAME.ANY],
+        }), callback)
+        callback.mockClear()
+
+        bridge.emit('game:pause_state_changed', PAUSE_STATE.PAUSED)
+        bridge.emit(EVENT_NAME.ANY, 'game:audio_state_changed', 'muted')
+        expect(callback.mock.calls.map(([json]) => JSON.parse(json))).toEqual([
+            {
+                id: 'pause', type: RESPONSE_TYPE.EVENT, event: 'game:pause_state_changed', data: PAUSE_STATE.PAUSED,
+            },
+            {
+                id: 'any', type: RESPONSE_TYPE.EVENT, event: 'game:audio_state_changed', data: 'muted',
+            },
+        ])
+
+        await expect(execute(commandInterface, { id: 2, module: 'bridge', method: 'off', args: ['pause'] }))
+            .resolves.toMatchObject({ data: true })
+        callback.mockClear()
+        bridge.emit('game:pause_state_changed', PAUSE_STATE.RESUMED)
+        expect(callback).not.toHaveBeenCalled()
+    })
+
+    it('resolves callbacks given as a global path', async () => {
+        const onResponse = vi.fn()
+        window.engine = { bridge: { onResponse } }
+
+        const command = JSON.stringify({ id: 1, module: 'platform', method: 'id' })
+        await commandInterface.execute(command, 'engine.bridge.onResponse')
+
+        expect(onResponse).toHaveBeenCalledOnce()
+        expect(JSON.parse(onResponse.mock.calls[0][0])).toMatchObject({ id: 1, data: PLATFORM_ID.MOCK })
+    })
+})
@@ -0,0 +1,137 @@
+import {
+    describe, it, expect, afterEach, vi,
+} from 'vitest'
+import PlatformDetector from '../../src/common/PlatformDetector'
+import { PLATFORM_ID, DETECTION_RULE_TYPE, DETECTION_SOURCE } from '../../src/constants'
+import { stubBrowser } from '../environment'
+
+const PLATFORM_IDS = Object.values(PLATFORM_ID)
+
+describe('PlatformDetector', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+
+    it('falls back to mock when no rule matches', () => {
+        stubBrowser({ href: 'https://example.com/game/' })
+        const report = new PlatformDetector(PLATFORM_IDS).detect()
+
+        expect(report.platformId).toBe(PLATFORM_ID.MOCK)
+        expect(report.source).toBe(DETECTION_SOURCE.FALLBACK)
+        expect(report.matchedRule).toBeNull()
+        expect(report.rules.every((rule) => !rule.matched)).toBe(true)
+    })
+
+    it('prefers the forcibly set platform over the query param', () => {
+        stubBrowser({ href: 'https://example.com/?platform_id=vk' })
+        const report = new PlatformDetector(PLATFORM_IDS).detect('Yandex')
+
+        expect(report.platformId).toBe(PLATFORM_ID.YANDEX)
+        expect(report.source).toBe(DETECTION_SOURCE.FORCED)
+    })
+
+    it('reports an unknown platform in the query param', () => {
+        stubBrowser({ href: 'https://example.com/?platform_id=nowhere' })
+        const report = new PlatformDetector(PLATFORM_IDS).detect()
+
+        expect(report.platformId).toBe(PLATFORM_ID.MOCK)
+        expect(report.source).toBe(DETECTION_SOURCE.QUERY_PARAM)
+        expect(report.reason).toContain('nowhere')
+    })
+
+    it('stops at the first matching rule', () => {
+        stubBrowser({ href: 'https://example.com/?api_id=1&viewer_id=2&auth_key=3' })
+        const report = new PlatformDetector(PLATFORM_IDS).detect()
+
+        expect(report.platformId).toBe(PLATFORM_ID.VK)
+        expect(report.source).toBe(DETECTION_SOURCE.RULE)
+        expect(report.matchedRule).toBe('vk_query_params')
+        expect(report.rules[report.rules.length - 1].id).toBe('vk_query_params')
+    })
+
+    it('matches the referrer hostname against a pattern', () => {
+        stubBrowser({ href: 'https://example.com/', referrer: 'https://games.yandex.com.tr/app' })
+        const report = new PlatformDetector(PLATFORM_IDS).detect()
+
+        expect(report.matchedRule).toBe('yandex_referrer')
+    })
+
+    it('evaluates added rules first, replaces rules with the same id and drops disabled ones', () => {
+        stubBrowser({ href: 'https://crazygames.example/' })
+        const detector = new PlatformDetector(PLATFORM_IDS)
+        detector.addRules([
+            {
+                id: 'portal', platformId: PLATFORM_ID.PLAYGAMA, type: DETECTION_RULE_TYPE.HOSTNAME, includes: ['nope'],
+            },
+            {
+                id: 'wortal_hostname', platformId: PLATFORM_ID.WORTAL, type: DETECTION_RULE_TYPE.HOSTNAME, includes: ['example'],
+            },
+        ], ['crazy_games_hostname'])
+
+        const ruleIds = detector.rules.map((rule) => rule.id)
+        expect(ruleIds[0]).toBe('portal')
+        expect(ruleIds).not.toContain('crazy_games_hostname')
+        expect(detector.detect().matchedRule).toBe('wortal_hostname')
+    })
+
+    it('fails only the rule with an invalid pattern and keeps detecting', () => {
+        stubBrowser({ href: 'https://portal.example/' })
+        const detector = new PlatformDetector(PLATFORM_IDS, [
+            {
+                id: 'broken', platformId: PLATFORM_ID.VK, type: DETECTION_RULE_TYPE.HOSTNAME, pattern: '(',
+            },
+            {
+                id: 'portal', platformId: PLATFORM_ID.PLAYGAMA, type: DETECTION_RULE_TYPE.HOSTNAME, pattern: '^portal\\.',
+            },
+        ])
+
+        const report = detector.detect()
+        expect(report.platformId).toBe(PLATFORM_ID.PLAYGAMA)
+        expect(report.rules[0]).toMatchObject({ id: 'broken', matched: false })
+        expect(report.rules[0].error).toEqual(expect.any(String))
+        expect(report.rules[1].error).toBeNull()
+    })
+
+    it('records custom rules that throw', () => {
+        stubBrowser()
+        const detector = new PlatformDetector(PLATFORM_IDS, [
+            {
+                id: 'custom',
+                platformId: PLATFORM_ID.VK,
+                type: DETECTION_RULE_TYPE.CUSTOM,
+                test: () => { throw new Error('boom') },
+            },
+        ])
+
+        const report = detector.detect()
+        expect(report.platformId).toBe(PLATFORM_ID.MOCK)
+        expect(report.rules[0]).toMatchObject({ matched: false, error: 'boom' })
+    })
+
+    it('skips rules of platforms it does not know', () => {
+        stubBrowser({ href: 'https://example.com/' })
+        const detector = new PlatformDetector(PLATFORM_IDS, [
+            {
+                id: 'unknown', platformId: 'nowhere', type: DETECTION_RULE_TYPE.HOSTNAME, includes: ['example'],
+            },
+        ])
+
+        const report = detector.detect()
+        expect(report.platformId).toBe(PLATFORM_ID.MOCK)
+        expect(report.rules[0].reason).toContain('nowhere')
+    })
+
+    it('keeps the query, the hash and matched values out of the report', () => {
+        stubBrowser({
+            href: 'https://game.example/?sign=secret#tgWebAppData=user%3Dsecret',
+            referrer: 'https://games.example/app?token=secret',
+        })
+        const report = new PlatformDetector(PLATFORM_IDS).detect()
+
+        expect(report.matchedRule).toBe('telegram_hash')
+        expect(report.reason).toBe('hash contains "tgWebAppData"')
+        expect(report.url).toBe('https://game.example/')
+        expect(report.referrer).toBe('https://games.example/app')
+        expect(JSON.stringify(report)).not.toContain('secret')
+    })
+})
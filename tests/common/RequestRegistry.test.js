@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import RequestRegistry, { DEFAULT_REQUEST_POLICIES } from '../../src/common/RequestRegistry'
+import { ACTION_NAME, REQUEST_POLICY } from '../../src/constants'
+
+describe('RequestRegistry', () => {
+    it('dedupes actions without a default policy', () => {
+        const registry = new RequestRegistry()
+
+        expect(registry.getPolicy(ACTION_NAME.GET_LEADERBOARD_ENTRIES)).toBe(REQUEST_POLICY.DEDUPE)
+        expect(registry.getPolicy(ACTION_NAME.PURCHASE)).toBe(DEFAULT_REQUEST_POLICIES[ACTION_NAME.PURCHASE])
+    })
+
+    it('accepts only known policies', () => {
+        const registry = new RequestRegistry()
+
+        expect(registry.setPolicy(ACTION_NAME.SHARE, 'bogus')).toBe(false)
+        expect(registry.getPolicy(ACTION_NAME.SHARE)).toBe(REQUEST_POLICY.QUEUE)
+        expect(registry.setPolicy(ACTION_NAME.SHARE, REQUEST_POLICY.REJECT_CONCURRENT)).toBe(true)
+        expect(registry.getPolicy(ACTION_NAME.SHARE)).toBe(REQUEST_POLICY.REJECT_CONCURRENT)
+    })
+
+    it('gives every request its own id and promise', () => {
+        const registry = new RequestRegistry()
+        const first = registry.create(ACTION_NAME.SHARE)
+        const second = registry.create(ACTION_NAME.SHARE)
+
+        expect(second.id).toBe(first.id + 1)
+        expect(second.promiseDecorator).not.toBe(first.promiseDecorator)
+        expect(first).toMatchObject({
+            isStarted: false, isCancelled: false, subscriberCount: 0, cleanups: [],
+        })
+        expect(registry.getPending(ACTION_NAME.SHARE)).toEqual([first, second])
+    })
+
+    it('finds requests by id, or the oldest started one by action name', () => {
+        const registry = new RequestRegistry()
+        const first = registry.create(ACTION_NAME.SHARE)
+        const second = registry.create(ACTION_NAME.SHARE)
+
+        expect(registry.find(second.id)).toBe(second)
+        expect(registry.find(ACTION_NAME.SHARE)).toBeUndefined()
+
+        second.isStarted = true
+        expect(registry.find(ACTION_NAME.SHARE)).toBe(second)
+
+        first.isStarted = true
+        expect(registry.find(ACTION_NAME.SHARE)).toBe(first)
+    })
+
+    it('finds identical requests regardless of the key order', () => {
+        const registry = new RequestRegistry()
+        const request = registry.create(ACTION_NAME.GET_LEADERBOARD_ENTRIES, { name: 'a', options: { x: 1, y: 2 } })
+
+        expect(registry.findIdentical(
+            ACTION_NAME.GET_LEADERBOARD_ENTRIES,
+            { options: { y: 2, x: 1 }, name: 'a' },
+        )).toBe(request)
+        expect(registry.findIdentical(ACTION_NAME.GET_LEADERBOARD_ENTRIES, { name: 'b' })).toBeUndefined()
+        expect(registry.findIdentical(ACTION_NAME.GET_LEADERBOARD_SCORE, { name: 'a', options: { x: 1, y: 2 } }))
+            .toBeUndefined()
+    })
+
+    it('never dedupes options which can not be serialized', () => {
+        const registry = new RequestRegistry()
+        const options = {}
+        options.self = options
+        registry.create(ACTION_NAME.GET_LEADERBOARD_ENTRIES, options)
+
+        expect(registry.findIdentical(ACTION_NAME.GET_LEADERBOARD_ENTRIES, options)).toBeUndefined()
+    })
+
+    it('removes requests and describes the pending ones', () => {
+        const registry = new RequestRegistry()
+        const first = registry.create(ACTION_NAME.SHARE)
+        const second = registry.create(ACTION_NAME.PURCHASE)
+
+        registry.remove(first)
+        registry.remove(first)
+
+        expect(registry.requests).toEqual([{
+            id: second.id,
+            actionName: ACTION_NAME.PURCHASE,
+            policy: REQUEST_POLICY.REJECT_CONCURRENT,
+            isStarted: false,
+            createdAt: second.createdAt,
+        }])
+    })
+
+    it('finds cancelled requests only by id or action name', () => {
+        const registry = new RequestRegistry()
+        const request = registry.create(ACTION_NAME.RATE)
+        request.isStarted = true
+        request.isCancelled = true
+
+        expect(registry.find(ACTION_NAME.RATE)).toBe(request)
+        expect(registry.find(request.id)).toBe(request)
+        expect(registry.getPending(ACTION_NAME.RATE)).toEqual([])
+        expect(registry.findIdentical(ACTION_NAME.RATE)).toBeUndefined()
+        expect(registry.requests).toEqual([])
+    })
+})
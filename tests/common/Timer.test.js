@@ -0,0 +1,111 @@
+import {
+    describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest'
+import Timer, { STATE, EVENT_NAME } from '../../src/common/Timer'
+import { stubBrowser } from '../environment'
+
+describe('Timer', () => {
+    let environment
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        environment = stubBrowser()
+    })
+
+    afterEach(() => {
+        vi.useRealTimers()
+        vi.unstubAllGlobals()
+    })
+
+    it('counts down every second and completes', () => {
+        const timer = new Timer(3)
+        const states = []
+        const timeLeft = []
+        timer.on(EVENT_NAME.STATE_CHANGED, (state) => states.push(state))
+        timer.on(EVENT_NAME.TIME_LEFT_CHANGED, (value) => timeLeft.push(value))
+
+        timer.start()
+        vi.advanceTimersByTime(3000)
+
+        expect(timeLeft).toEqual([2, 1, 0])
+        expect(states).toEqual([STATE.STARTED, STATE.COMPLETED])
+    })
+
+    it('continues from the time left it is started with', () => {
+        const timer = new Timer(30)
+
+        timer.start(5)
+        vi.advanceTimersByTime(2000)
+
+        expect(timer.time).toBe(30)
+        expect(timer.timeLeft).toBe(3)
+    })
+
+    it('keeps the time left while paused', () => {
+        const timer = new Timer(10)
+        timer.start()
+        vi.advanceTimersByTime(2000)
+
+        timer.pause()
+        vi.advanceTimersByTime(5000)
+        expect(timer.state).toBe(STATE.PAUSED)
+        expect(timer.timeLeft).toBe(8)
+
+        timer.resume()
+        vi.advanceTimersByTime(3000)
+        expect(timer.state).toBe(STATE.STARTED)
+        expect(timer.timeLeft).toBe(5)
+    })
+
+    it('resumes only a paused timer and pauses only a started one', () => {
+        const timer = new Timer(10)
+
+        timer.resume()
+        timer.pause()
+        expect(timer.state).toBe(STATE.CREATED)
+
+        timer.start()
+        timer.stop()
+        timer.resume()
+        expect(timer.state).toBe(STATE.STOPPED)
+        expect(timer.timeLeft).toBe(0)
+    })
+
+    it('pauses while the page is hidden when asked to', () => {
+        const timer = new Timer(10, { pauseWhileHidden: true })
+        timer.start()
+        vi.advanceTimersByTime(1000)
+
+        environment.document.setVisibilityState('hidden')
+        vi.advanceTimersByTime(5000)
+        expect(timer.state).toBe(STATE.PAUSED)
+        expect(timer.timeLeft).toBe(9)
+
+        environment.document.setVisibilityState('visible')
+        vi.advanceTimersByTime(2000)
+        expect(timer.timeLeft).toBe(7)
+    })
+
+    it('starts paused on a hidden page and stops listening once stopped', () => {
+        environment.document.setVisibilityState('hidden')
+        const timer = new Timer(10, { pauseWhileHidden: true })
+
+        timer.start()
+        expect(timer.state).toBe(STATE.PAUSED)
+
+        timer.stop()
+        expect(environment.document.listenerCount('visibilitychange')).toBe(0)
+    })
+
+    it('keeps running on a hidden page by default', () => {
+        const timer = new Timer(10)
+        timer.start()
+
+        environment.document.setVisibilityState('hidden')
+        vi.advanceTimersByTime(4000)
+
+        expect(timer.state).toBe(STATE.STARTED)
+        expect(timer.timeLeft).toBe(6)
+        timer.stop()
+    })
+})
@@ -0,0 +1,104 @@
+import {
+    describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest'
+import { deepMerge, isPlainObject, loadJavaScript } from '../../src/common/utils'
+
+describe('isPlainObject', () => {
+    it('accepts only object literals and objects without a prototype', () => {
+        expect(isPlainObject({})).toBe(true)
+        expect(isPlainObject(Object.create(null))).toBe(true)
+        expect(isPlainObject([])).toBe(false)
+        expect(isPlainObject(null)).toBe(false)
+        expect(isPlainObject(new Date())).toBe(false)
+        expect(isPlainObject('options')).toBe(false)
+    })
+})
+
+describe('deepMerge', () => {
+    it('merges plain objects recursively without touching the arguments', () => {
+        const target = { ads: { delay: 10, banner: { position: 'top' } }, language: 'en' }
+        const source = { ads: { banner: { position: 'bottom' } } }
+
+        expect(deepMerge(target, source)).toEqual({
+            ads: { delay: 10, banner: { position: 'bottom' } },
+            language: 'en',
+        })
+        expect(target.ads.banner.position).toBe('top')
+    })
+
+    it('replaces arrays and values which are not plain objects', () => {
+        const audioContext = new Map()
+
+        expect(deepMerge({ ids: [1, 2] }, { ids: [3] })).toEqual({ ids: [3] })
+        expect(deepMerge({ audio: { volume: 1 } }, { audio: audioContext }).audio).toBe(audioContext)
+        expect(deepMerge({ delay: 10 }, 5)).toBe(5)
+    })
+
+    it('copies the source when the target is not a plain object', () => {
+        const source = { delay: { value: 1 } }
+        const result = deepMerge(undefined, source)
+
+        expect(result).toEqual(source)
+        expect(result.delay).not.toBe(source.delay)
+    })
+})
+
+describe('loadJavaScript', () => {
+    let scripts
+
+    const finishScript = async (index, type) => {
+        scripts[index].listeners[type]()
+        await vi.advanceTimersByTimeAsync(0)
+    }
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        scripts = []
+        vi.stubGlobal('document', {
+            currentScript: null,
+            querySelector: () => null,
+            createElement: () => ({
+                listeners: {},
+                addEventListener(type, listener) { this.listeners[type] = listener },
+                remove: vi.fn(),
+            }),
+            head: { appendChild: (script) => scripts.push(script) },
+        })
+    })
+
+    afterEach(() => {
+        vi.useRealTimers()
+        vi.unstubAllGlobals()
+    })
+
+    it('starts the mirror only once the timed out script has failed for good', async () => {
+        const loading = loadJavaScript(['https://cdn/sdk.js', 'https://mirror/sdk.js'], { timeout: 1000 })
+
+        await vi.advanceTimersByTimeAsync(5000)
+        expect(scripts).toHaveLength(1)
+
+        await finishScript(0, 'error')
+        expect(scripts.map((script) => script.src)).toEqual(['https://cdn/sdk.js', 'https://mirror/sdk.js'])
+
+        await finishScript(1, 'load')
+        await expect(loading).resolves.toMatchObject({ url: 'https://mirror/sdk.js', script: scripts[1] })
+    })
+
+    it('takes a script which ran after its timeout for a failure and loads no second copy', async () => {
+        const loading = loadJavaScript(['https://cdn/sdk.js', 'https://mirror/sdk.js'], { timeout: 1000, retries: 2 })
+        const failure = expect(loading).rejects.toMatchObject({
+            attempts: [
+                { url: 'https://cdn/sdk.js', attempt: 0, reason: 'Script https://cdn/sdk.js did not load in 1000 ms' },
+                { url: 'https://cdn/sdk.js', attempt: 0, reason: 'Script loaded after the timeout' },
+            ],
+        })
+
+        await vi.advanceTimersByTimeAsync(1000)
+        await finishScript(0, 'load')
+        await vi.advanceTimersByTimeAsync(5000)
+
+        await failure
+        expect(scripts).toHaveLength(1)
+        expect(scripts[0].remove).toHaveBeenCalled()
+    })
+})
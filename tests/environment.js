@@ -0,0 +1,50 @@
+import { vi } from 'vitest'
+
+const createEventTarget = () => {
+    const listeners = {}
+
+    return {
+        addEventListener(type, listener) {
+            listeners[type] = [...(listeners[type] || []), listener]
+        },
+        removeEventListener(type, listener) {
+            listeners[type] = (listeners[type] || []).filter((item) => item !== listener)
+        },
+        dispatchEvent(event) {
+            (listeners[event.type] || []).forEach((listener) => listener(event))
+        },
+        listenerCount(type) {
+            return (listeners[type] || []).length
+        },
+    }
+}
+
+// The bridge only touches a small part of the DOM, so tests run in node with just that part in place
+export const stubBrowser = function stubBrowser({ href = 'http://localhost/', referrer = '' } = {}) {
+    const storage = {}
+    const localStorage = {
+        getItem: (key) => (Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : null),
+        setItem: (key, value) => { storage[key] = String(value) },
+        removeItem: (key) => { delete storage[key] },
+    }
+
+    const window = Object.assign(createEventTarget(), {
+        location: { href },
+        parent: {},
+        localStorage,
+    })
+
+    const document = Object.assign(createEventTarget(), {
+        visibilityState: 'visible',
+        referrer,
+        body: null,
+        setVisibilityState(state) {
+            this.visibilityState = state
+            this.dispatchEvent({ type: 'visibilitychange' })
+        },
+    })
+
+    vi.stubGlobal('window', window)
+    vi.stubGlobal('document', document)
+    return { window, document, storage }
+}
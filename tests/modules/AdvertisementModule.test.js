@@ -0,0 +1,287 @@
+import {
+    describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest'
+import AdvertisementModule from '../../src/modules/AdvertisementModule'
+import PlatformBridgeBase from '../../src/platform-bridges/PlatformBridgeBase'
+import { INTERSTITIAL_STATE, REWARDED_STATE, ADVERTISEMENT_RESULT_REASON } from '../../src/constants'
+import { stubBrowser } from '../environment'
+
+// Ads open and close right away, so the tests only deal with the pacing around them
+class InstantAdsPlatformBridge extends PlatformBridgeBase {
+    showInterstitial() {
+        this._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+        this._setInterstitialState(INTERSTITIAL_STATE.CLOSED)
+    }
+
+    showRewarded() {
+        this._setRewardedState(REWARDED_STATE.OPENED)
+        this._setRewardedState(REWARDED_STATE.REWARDED)
+        this._setRewardedState(REWARDED_STATE.CLOSED)
+    }
+}
+
+const showInterstitial = (module, options) => module.showInterstitial(options).then(({ reason }) => reason)
+const showRewarded = (module) => module.showRewarded().then(({ reason }) => reason)
+
+describe('AdvertisementModule pacing', () => {
+    let environment
+    const modules = []
+
+    const createModule = (options) => {
+        const module = new AdvertisementModule(new InstantAdsPlatformBridge(), options)
+        modules.push(module)
+        return module
+    }
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        vi.setSystemTime(new Date(2024, 5, 10, 12, 0, 0))
+        environment = stubBrowser()
+    })
+
+    afterEach(() => {
+        modules.splice(0).forEach((module) => {
+            module._destroy()
+            module._platformBridge.destroy()
+        })
+        vi.useRealTimers()
+        vi.unstubAllGlobals()
+    })
+
+    it('keeps the minimum delay between interstitials', async () => {
+        const module = createModule()
+        module.setMinimumDelayBetweenInterstitial(10)
+
+        await expect(showInterstitial(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+        await expect(showInterstitial(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.MINIMUM_DELAY)
+        await expect(showInterstitial(module, { ignoreDelay: true })).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+
+        vi.advanceTimersByTime(4000)
+        expect(module.interstitialCooldownLeft).toBe(6)
+
+        vi.advanceTimersByTime(6000)
+        expect(module.interstitialCooldownLeft).toBe(0)
+        await expect(showInterstitial(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+    })
+
+    it('keeps the time already passed when the delay changes', async () => {
+        const module = createModule()
+        module.setMinimumDelayBetweenInterstitial(10)
+        await showInterstitial(module)
+        vi.advanceTimersByTime(4000)
+
+        module.setMinimumDelayBetweenInterstitial(30)
+        expect(module.interstitialCooldownLeft).toBe(26)
+
+        module.setMinimumDelayBetweenInterstitial(3)
+        expect(module.interstitialCooldownLeft).toBe(0)
+    })
+
+    it('restores the cooldown after a reload without the time the page was closed', async () => {
+        const module = createModule()
+        module.setMinimumDelayBetweenInterstitial(30)
+        await showInterstitial(module)
+        vi.advanceTimersByTime(5000)
+
+        environment.window.dispatchEvent({ type: 'pagehide' })
+        module._destroy()
+        vi.setSystemTime(Date.now() + 10000)
+
+        const restoredModule = createModule()
+        expect(restoredModule.interstitialCooldownLeft).toBe(25)
+        await expect(showInterstitial(restoredModule)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.MINIMUM_DELAY)
+    })
+
+    it('counts the time the page was closed when the cooldown keeps running while hidden', async () => {
+        const options = { pauseInterstitialDelayWhileHidden: false }
+        const module = createModule(options)
+        module.setMinimumDelayBetweenInterstitial(30)
+        await showInterstitial(module)
+        vi.advanceTimersByTime(5000)
+
+        environment.window.dispatchEvent({ type: 'pagehide' })
+        module._destroy()
+        vi.setSystemTime(Date.now() + 10000)
+
+        expect(createModule(options).interstitialCooldownLeft).toBe(15)
+    })
+
+    it('saves the time left of the cooldown when it pauses', async () => {
+        const module = createModule()
+        module.setMinimumDelayBetweenInterstitial(30)
+        await showInterstitial(module)
+        vi.advanceTimersByTime(4000)
+
+        environment.document.setVisibilityState('hidden')
+        module._destroy()
+        vi.setSystemTime(Date.now() + 60000)
+        environment.document.setVisibilityState('visible')
+
+        expect(createModule().interstitialCooldownLeft).toBe(26)
+        expect(environment.window.listenerCount('pagehide')).toBe(1)
+    })
+
+    it('does not persist the cooldown when it is turned off', async () => {
+        const module = createModule({ persistInterstitialDelay: false })
+        module.setMinimumDelayBetweenInterstitial(30)
+        await showInterstitial(module)
+
+        expect(environment.storage).not.toHaveProperty('instant_games_bridge_interstitial_delay')
+        expect(createModule({ persistInterstitialDelay: false }).interstitialCooldownLeft).toBe(0)
+    })
+
+    it('pauses the cooldown while the page is hidden', async () => {
+        const module = createModule()
+        module.setMinimumDelayBetweenInterstitial(10)
+        await showInterstitial(module)
+
+        environment.document.setVisibilityState('hidden')
+        vi.advanceTimersByTime(20000)
+        expect(module.interstitialCooldownLeft).toBe(10)
+
+        environment.document.setVisibilityState('visible')
+        vi.advanceTimersByTime(3000)
+        expect(module.interstitialCooldownLeft).toBe(7)
+    })
+
+    it('holds ads back during the grace period', async () => {
+        const module = createModule({ pacing: { interstitial: { gracePeriod: 30, minimumDelay: 0 } } })
+
+        await expect(showInterstitial(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.GRACE_PERIOD)
+        expect(module.interstitialState).toBe(INTERSTITIAL_STATE.FAILED)
+
+        vi.advanceTimersByTime(30000)
+        await expect(showInterstitial(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+    })
+
+    it('limits shows per session', async () => {
+        const module = createModule({ pacing: { rewarded: { maxPerSession: 2 } } })
+
+        await expect(showRewarded(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+        await expect(showRewarded(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+        await expect(showRewarded(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.SESSION_LIMIT)
+        await expect(createModule({ pacing: { rewarded: { maxPerSession: 2 } } }).showRewarded())
+            .resolves.toMatchObject({ reason: ADVERTISEMENT_RESULT_REASON.COMPLETED })
+    })
+
+    it('limits shows per day across sessions and starts over the next day', async () => {
+        const pacing = { interstitial: { maxPerDay: 1, minimumDelay: 0 } }
+        const module = createModule({ pacing })
+        await expect(showInterstitial(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+
+        const nextSession = createModule({ pacing })
+        await expect(showInterstitial(nextSession)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.DAILY_LIMIT)
+
+        vi.setSystemTime(new Date(2024, 5, 11, 9, 0, 0))
+        await expect(showInterstitial(nextSession)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+    })
+
+    it('keeps the minimum delay between rewarded ads', async () => {
+        const module = createModule()
+        module.setPacingPolicy({ rewarded: { minimumDelay: 20 } })
+
+        await expect(showRewarded(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+        await expect(showRewarded(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.MINIMUM_DELAY)
+
+        vi.advanceTimersByTime(20000)
+        await expect(showRewarded(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+    })
+
+    it('merges a new pacing policy into the current one', async () => {
+        const module = createModule({ pacing: { interstitial: { minimumDelay: 10, maxPerSession: 1 } } })
+        module.setPacingPolicy({ rewarded: { maxPerSession: 0 } })
+
+        expect(module.minimumDelayBetweenInterstitial).toBe(10)
+        await expect(showRewarded(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.SESSION_LIMIT)
+        await expect(showInterstitial(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+        await expect(showInterstitial(module, { ignoreDelay: true }))
+            .resolves.toBe(ADVERTISEMENT_RESULT_REASON.SESSION_LIMIT)
+
+        module.setPacingPolicy({ interstitial: { maxPerSession: null } })
+        await expect(showInterstitial(module, { ignoreDelay: true }))
+            .resolves.toBe(ADVERTISEMENT_RESULT_REASON.COMPLETED)
+    })
+
+    it('takes the pacing policy of the current platform', async () => {
+        const module = createModule()
+        module.setPacingPolicy({
+            default: { rewarded: { maxPerSession: 5 } },
+            mock: { rewarded: { maxPerSession: 0 } },
+        })
+
+        await expect(showRewarded(module)).resolves.toBe(ADVERTISEMENT_RESULT_REASON.SESSION_LIMIT)
+    })
+})
+
+// Ads stay open until the test reports their state
+class ManualAdsPlatformBridge extends PlatformBridgeBase {
+    showInterstitial() { }
+
+    showRewarded() { }
+}
+
+describe('AdvertisementModule results', () => {
+    let bridge
+    let module
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        stubBrowser()
+        bridge = new ManualAdsPlatformBridge()
+        module = new AdvertisementModule(bridge, { persistInterstitialDelay: false, resultTimeout: 1000 })
+    })
+
+    afterEach(() => {
+        module._destroy()
+        bridge.destroy()
+        vi.useRealTimers()
+        vi.unstubAllGlobals()
+    })
+
+    it('reports a rewarded ad closed before the reward as skipped', async () => {
+        const result = module.showRewarded()
+        bridge._setRewardedState(REWARDED_STATE.OPENED)
+        vi.advanceTimersByTime(300)
+        bridge._setRewardedState(REWARDED_STATE.CLOSED)
+
+        await expect(result).resolves.toEqual({
+            shown: true, rewarded: false, durationMs: 300, reason: ADVERTISEMENT_RESULT_REASON.SKIPPED,
+        })
+    })
+
+    it('reports a show call while another ad is in progress', async () => {
+        module.showRewarded()
+
+        await expect(module.showInterstitial({ ignoreDelay: true }))
+            .resolves.toMatchObject({ reason: ADVERTISEMENT_RESULT_REASON.IN_PROGRESS })
+    })
+
+    it('times out when the platform never reports the end of the ad', async () => {
+        const result = module.showInterstitial({ ignoreDelay: true })
+        vi.advanceTimersByTime(1000)
+
+        await expect(result).resolves.toMatchObject({ shown: false, reason: ADVERTISEMENT_RESULT_REASON.TIMEOUT })
+        expect(module.interstitialState).toBe(INTERSTITIAL_STATE.FAILED)
+
+        const nextResult = module.showRewarded()
+        expect(module.rewardedState).toBe(REWARDED_STATE.LOADING)
+        bridge._setRewardedState(REWARDED_STATE.FAILED)
+        await expect(nextResult).resolves.toMatchObject({ reason: ADVERTISEMENT_RESULT_REASON.FAILED })
+    })
+
+    it('fails when the show call throws', async () => {
+        bridge.showRewarded = () => { throw new Error('sdk error') }
+        vi.spyOn(bridge._logger, 'error').mockImplementation(() => { })
+
+        await expect(module.showRewarded()).resolves.toMatchObject({ reason: ADVERTISEMENT_RESULT_REASON.FAILED })
+        expect(module.rewardedState).toBe(REWARDED_STATE.FAILED)
+        expect(bridge._logger.error).toHaveBeenCalledOnce()
+    })
+
+    it('resolves pending results when the module is destroyed', async () => {
+        const result = module.showInterstitial({ ignoreDelay: true })
+        module._destroy()
+
+        await expect(result).resolves.toMatchObject({ reason: ADVERTISEMENT_RESULT_REASON.DESTROYED })
+    })
+})
@@ -0,0 +1,190 @@
+import {
+    describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest'
+import GameModule from '../../src/modules/GameModule'
+import PlatformModule from '../../src/modules/PlatformModule'
+import PlatformBridgeBase from '../../src/platform-bridges/PlatformBridgeBase'
+import {
+    INTERSTITIAL_STATE, REWARDED_STATE, PAUSE_STATE, AUDIO_STATE, PLATFORM_MESSAGE,
+} from '../../src/constants'
+import { stubBrowser } from '../environment'
+
+const createAudioContext = (state = 'running') => ({
+    state,
+    suspend: vi.fn(() => Promise.resolve()),
+    resume: vi.fn(() => Promise.resolve()),
+})
+
+// Gameplay messages of the auto pause are sent after a microtask
+const flushMessages = () => Promise.resolve().then(() => { })
+
+describe('GameModule auto pause', () => {
+    let environment
+    let bridge
+    let platformModule
+    let module
+    let pauseStates
+
+    const createModule = (options) => {
+        module = new GameModule(bridge, options, platformModule)
+        module.on('pause_state_changed', (state) => pauseStates.push(state))
+        return module
+    }
+
+    beforeEach(() => {
+        environment = stubBrowser()
+        bridge = new PlatformBridgeBase()
+        platformModule = new PlatformModule(bridge)
+        vi.spyOn(bridge, 'sendMessage')
+        vi.spyOn(bridge._logger, 'debug').mockImplementation(() => { })
+        pauseStates = []
+    })
+
+    afterEach(() => {
+        module._destroy()
+        platformModule._destroy()
+        bridge.destroy()
+        vi.unstubAllGlobals()
+    })
+
+    it('stays out of the way until it is enabled', () => {
+        createModule()
+        bridge._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+
+        expect(module.isAutoPauseEnabled).toBe(false)
+        expect(module.pauseState).toBe(PAUSE_STATE.RESUMED)
+        expect(pauseStates).toEqual([])
+    })
+
+    it('pauses while an interstitial is open', () => {
+        createModule({ autoPause: true })
+
+        bridge._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+        expect(module.pauseState).toBe(PAUSE_STATE.PAUSED)
+        expect(module.audioState).toBe(AUDIO_STATE.MUTED)
+
+        bridge._setInterstitialState(INTERSTITIAL_STATE.CLOSED)
+        expect(module.pauseState).toBe(PAUSE_STATE.RESUMED)
+        expect(pauseStates).toEqual([PAUSE_STATE.PAUSED, PAUSE_STATE.RESUMED])
+    })
+
+    it('stays paused until every reason is gone', () => {
+        createModule({ autoPause: true })
+
+        bridge._setRewardedState(REWARDED_STATE.OPENED)
+        environment.document.setVisibilityState('hidden')
+        bridge._setRewardedState(REWARDED_STATE.REWARDED)
+        bridge._setRewardedState(REWARDED_STATE.CLOSED)
+        expect(module.pauseState).toBe(PAUSE_STATE.PAUSED)
+
+        environment.document.setVisibilityState('visible')
+        expect(module.pauseState).toBe(PAUSE_STATE.RESUMED)
+        expect(pauseStates).toEqual([PAUSE_STATE.PAUSED, PAUSE_STATE.RESUMED])
+    })
+
+    it('takes the reasons already active when it is enabled', () => {
+        environment.document.setVisibilityState('hidden')
+        createModule()
+
+        module.enableAutoPause()
+        expect(module.pauseState).toBe(PAUSE_STATE.PAUSED)
+        expect(pauseStates).toEqual([PAUSE_STATE.PAUSED])
+    })
+
+    it('ignores the reasons which are turned off', () => {
+        createModule({ autoPause: { pauseOnHidden: false } })
+
+        environment.document.setVisibilityState('hidden')
+        expect(module.pauseState).toBe(PAUSE_STATE.RESUMED)
+
+        module.enableAutoPause({ pauseOnAdvertisement: false })
+        bridge._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+        expect(module.pauseState).toBe(PAUSE_STATE.PAUSED)
+        expect(pauseStates).toEqual([PAUSE_STATE.PAUSED])
+    })
+
+    it('mutes only the audio which was playing and restores it on resume', () => {
+        const runningContext = createAudioContext()
+        const suspendedContext = createAudioContext('suspended')
+        const playingElement = { muted: false }
+        const mutedElement = { muted: true }
+        createModule({
+            autoPause: {
+                audioContext: [runningContext, suspendedContext],
+                mediaElements: [playingElement, mutedElement],
+            },
+        })
+
+        bridge._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+        expect(runningContext.suspend).toHaveBeenCalledOnce()
+        expect(suspendedContext.suspend).not.toHaveBeenCalled()
+        expect(playingElement.muted).toBe(true)
+
+        bridge._setInterstitialState(INTERSTITIAL_STATE.CLOSED)
+        expect(runningContext.resume).toHaveBeenCalledOnce()
+        expect(suspendedContext.resume).not.toHaveBeenCalled()
+        expect(playingElement.muted).toBe(false)
+        expect(mutedElement.muted).toBe(true)
+    })
+
+    it('stops and starts gameplay only when the game has started it', async () => {
+        createModule({ autoPause: true })
+
+        bridge._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+        bridge._setInterstitialState(INTERSTITIAL_STATE.CLOSED)
+        await flushMessages()
+        expect(bridge.sendMessage).not.toHaveBeenCalled()
+
+        await platformModule.sendMessage(PLATFORM_MESSAGE.GAMEPLAY_STARTED)
+        bridge.sendMessage.mockClear()
+
+        bridge._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+        await flushMessages()
+        bridge._setInterstitialState(INTERSTITIAL_STATE.CLOSED)
+        await flushMessages()
+        expect(bridge.sendMessage.mock.calls).toEqual([
+            [PLATFORM_MESSAGE.GAMEPLAY_STOPPED],
+            [PLATFORM_MESSAGE.GAMEPLAY_STARTED],
+        ])
+    })
+
+    it('does not start gameplay the game has stopped during the pause', async () => {
+        createModule({ autoPause: true })
+        await platformModule.sendMessage(PLATFORM_MESSAGE.GAMEPLAY_STARTED)
+
+        environment.document.setVisibilityState('hidden')
+        await flushMessages()
+        await platformModule.sendMessage(PLATFORM_MESSAGE.GAMEPLAY_STOPPED)
+        bridge.sendMessage.mockClear()
+
+        environment.document.setVisibilityState('visible')
+        await flushMessages()
+        expect(bridge.sendMessage).not.toHaveBeenCalled()
+    })
+
+    it('sends no gameplay messages when they are turned off', async () => {
+        createModule({ autoPause: { sendGameplayMessages: false } })
+        await platformModule.sendMessage(PLATFORM_MESSAGE.GAMEPLAY_STARTED)
+        bridge.sendMessage.mockClear()
+
+        bridge._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+        await flushMessages()
+        expect(bridge.sendMessage).not.toHaveBeenCalled()
+    })
+
+    it('resumes and restores audio when it is disabled during a pause', () => {
+        const audioContext = createAudioContext()
+        createModule({ autoPause: { audioContext } })
+        bridge._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+
+        module.disableAutoPause()
+        expect(module.isAutoPauseEnabled).toBe(false)
+        expect(module.pauseState).toBe(PAUSE_STATE.RESUMED)
+        expect(audioContext.resume).toHaveBeenCalledOnce()
+        expect(pauseStates).toEqual([PAUSE_STATE.PAUSED, PAUSE_STATE.RESUMED])
+
+        bridge._setInterstitialState(INTERSTITIAL_STATE.CLOSED)
+        bridge._setInterstitialState(INTERSTITIAL_STATE.OPENED)
+        expect(module.pauseState).toBe(PAUSE_STATE.RESUMED)
+    })
+})
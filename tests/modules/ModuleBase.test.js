@@ -0,0 +1,78 @@
+import {
+    describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest'
+import ModuleBase from '../../src/modules/ModuleBase'
+import PlatformBridgeBase from '../../src/platform-bridges/PlatformBridgeBase'
+import { PLATFORM_ID } from '../../src/constants'
+import { stubBrowser } from '../environment'
+
+class OkPlatformBridge extends PlatformBridgeBase {
+    get platformId() {
+        return PLATFORM_ID.OK
+    }
+}
+
+class OptionsModule extends ModuleBase {
+    _optionsArguments = {
+        configure: 1,
+    }
+
+    configure(name, options) {
+        return options
+    }
+}
+
+describe('ModuleBase options', () => {
+    let bridge
+
+    beforeEach(() => {
+        stubBrowser()
+        bridge = new OkPlatformBridge()
+    })
+
+    afterEach(() => {
+        bridge.destroy()
+        vi.unstubAllGlobals()
+    })
+
+    it('merges the default, group and platform blocks from the least to the most specific', () => {
+        const module = new OptionsModule(bridge)
+
+        expect(module._resolveOptions({
+            default: { delay: 10, banner: { position: 'top', size: 'small' } },
+            vk_family: { banner: { position: 'bottom' } },
+            ok: { delay: 30 },
+            yandex: { delay: 60 },
+        })).toEqual({ delay: 30, banner: { position: 'bottom', size: 'small' } })
+    })
+
+    it('passes options without a block for the current platform as is', () => {
+        const module = new OptionsModule(bridge)
+        const options = { delay: 10 }
+
+        expect(module._resolveOptions(options)).toBe(options)
+        expect(module._resolveOptions({ yandex: { delay: 60 } })).toEqual({ yandex: { delay: 60 } })
+        expect(module._resolveOptions(undefined)).toBeUndefined()
+    })
+
+    it('resolves the options argument of intercepted methods', () => {
+        const module = new OptionsModule(bridge)
+
+        expect(module.configure('ads', { default: { delay: 10 }, ok: { delay: 30 } })).toEqual({ delay: 30 })
+    })
+
+    it('gives middlewares the resolved options and calls the method with their changes', () => {
+        const module = new OptionsModule(bridge)
+        const seenOptions = []
+        module._setMiddlewares('options', [
+            (context, next) => {
+                seenOptions.push(context.options)
+                context.options = { ...context.options, delay: 0 }
+                return next()
+            },
+        ])
+
+        expect(module.configure('ads', { default: { delay: 10, size: 'small' } })).toEqual({ delay: 0, size: 'small' })
+        expect(seenOptions).toEqual([{ delay: 10, size: 'small' }])
+    })
+})
@@ -0,0 +1,47 @@
+import {
+    describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest'
+import MockPlatformBridge from '../../src/platform-bridges/MockPlatformBridge'
+import { PLATFORM_ID } from '../../src/constants'
+import { stubBrowser } from '../environment'
+
+describe('MockPlatformBridge posing as another platform', () => {
+    let bridge
+
+    beforeEach(() => {
+        stubBrowser()
+    })
+
+    afterEach(() => {
+        bridge.destroy()
+        vi.unstubAllGlobals()
+    })
+
+    it('is the mock platform with every capability by default', () => {
+        bridge = new MockPlatformBridge()
+
+        expect(bridge.platformId).toBe(PLATFORM_ID.MOCK)
+        expect(bridge.capabilities.payments.isSupported).toBe(true)
+        expect(bridge.capabilities.leaderboard.isSupported).toBe(true)
+    })
+
+    it('takes the platform id and the capabilities from its options', () => {
+        bridge = new MockPlatformBridge({
+            platformId: PLATFORM_ID.OK,
+            capabilities: {
+                payments: { isSupported: false },
+                social: { isExternalLinksAllowed: false, isShareSupported: 'yes' },
+                clipboard: { isSupported: false },
+            },
+        })
+
+        expect(bridge.platformId).toBe(PLATFORM_ID.OK)
+        expect(bridge.isPaymentsSupported).toBe(false)
+        expect(bridge.capabilities).toMatchObject({
+            payments: { isSupported: false },
+            social: { isExternalLinksAllowed: false, isShareSupported: true, isRateSupported: true },
+            clipboard: { isSupported: false },
+            leaderboard: { isSupported: true },
+        })
+    })
+})
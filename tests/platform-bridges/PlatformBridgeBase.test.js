@@ -0,0 +1,195 @@
+import {
+    describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest'
+import PlatformBridgeBase from '../../src/platform-bridges/PlatformBridgeBase'
+import { ACTION_NAME, ERROR_CODE, REQUEST_POLICY } from '../../src/constants'
+import { stubBrowser } from '../environment'
+
+// Requests stay pending until the test settles them through the returned request
+const startRequest = (bridge, actionName, options) => {
+    const started = []
+    const promise = bridge._runRequest(actionName, options, (request) => started.push(request))
+    return { promise, started }
+}
+
+describe('PlatformBridgeBase requests', () => {
+    let bridge
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        stubBrowser()
+        bridge = new PlatformBridgeBase()
+    })
+
+    afterEach(() => {
+        bridge.destroy()
+        vi.useRealTimers()
+        vi.unstubAllGlobals()
+    })
+
+    it('joins identical requests and runs the executor once', async () => {
+        const first = startRequest(bridge, ACTION_NAME.GET_LEADERBOARD_ENTRIES, { name: 'a' })
+        const second = startRequest(bridge, ACTION_NAME.GET_LEADERBOARD_ENTRIES, { name: 'a' })
+
+        expect(first.started).toHaveLength(1)
+        expect(second.started).toHaveLength(0)
+
+        bridge._resolvePromiseDecorator(first.started[0].id, 'entries')
+        await expect(Promise.all([first.promise, second.promise])).resolves.toEqual(['entries', 'entries'])
+        expect(bridge.pendingRequests).toEqual([])
+    })
+
+    it('rejects a concurrent request when the policy says so', async () => {
+        bridge._setRequestPolicy(ACTION_NAME.SHARE, REQUEST_POLICY.REJECT_CONCURRENT)
+        startRequest(bridge, ACTION_NAME.SHARE).promise.catch(() => { })
+
+        await expect(startRequest(bridge, ACTION_NAME.SHARE).promise)
+            .rejects.toMatchObject({ code: ERROR_CODE.CONCURRENT_REQUEST })
+    })
+
+    it('starts a queued request after the previous one settles', async () => {
+        const first = startRequest(bridge, ACTION_NAME.SHARE)
+        const second = startRequest(bridge, ACTION_NAME.SHARE)
+        second.promise.catch(() => { })
+        expect(second.started).toHaveLength(0)
+
+        bridge._rejectPromiseDecorator(first.started[0].id, new Error('closed'))
+        await expect(first.promise).rejects.toMatchObject({ code: ERROR_CODE.PLATFORM_ERROR })
+        expect(second.started).toHaveLength(1)
+    })
+
+    it('times out only the caller whose timeout ran out when requests are joined', async () => {
+        let first
+        bridge._runWithCallOptions(ACTION_NAME.GET_LEADERBOARD_ENTRIES, { timeout: 100 }, () => {
+            first = startRequest(bridge, ACTION_NAME.GET_LEADERBOARD_ENTRIES)
+            return first.promise
+        })
+        const second = startRequest(bridge, ACTION_NAME.GET_LEADERBOARD_ENTRIES)
+        const cleanup = vi.fn()
+        bridge._addRequestCleanup(first.started[0].id, cleanup)
+
+        vi.advanceTimersByTime(100)
+        await expect(first.promise).rejects.toMatchObject({ code: ERROR_CODE.TIMEOUT })
+        expect(cleanup).not.toHaveBeenCalled()
+
+        bridge._resolvePromiseDecorator(first.started[0].id, 'entries')
+        await expect(second.promise).resolves.toBe('entries')
+    })
+
+    it('cancels a joined request when the last caller aborts', async () => {
+        const firstController = new AbortController()
+        const secondController = new AbortController()
+        const run = (signal) => {
+            let request
+            bridge._runWithCallOptions(ACTION_NAME.GET_LEADERBOARD_ENTRIES, { signal }, () => {
+                request = startRequest(bridge, ACTION_NAME.GET_LEADERBOARD_ENTRIES)
+                return request.promise
+            })
+            return request
+        }
+
+        const first = run(firstController.signal)
+        const second = run(secondController.signal)
+        const cleanup = vi.fn()
+        bridge._addRequestCleanup(first.started[0].id, cleanup)
+
+        firstController.abort()
+        await expect(first.promise).rejects.toMatchObject({ code: ERROR_CODE.ABORTED })
+        expect(bridge.pendingRequests).toHaveLength(1)
+
+        secondController.abort()
+        await expect(second.promise).rejects.toMatchObject({ code: ERROR_CODE.ABORTED })
+        expect(cleanup).toHaveBeenCalledOnce()
+        expect(bridge.pendingRequests).toEqual([])
+    })
+
+    it('drops the late answer of a cancelled request instead of settling the next one', async () => {
+        const first = bridge._runWithCallOptions(
+            ACTION_NAME.RATE,
+            { timeout: 50 },
+            () => bridge._createPromiseDecorator(ACTION_NAME.RATE).promise,
+        )
+        vi.advanceTimersByTime(50)
+        await expect(first).rejects.toMatchObject({ code: ERROR_CODE.TIMEOUT })
+        expect(bridge._getPromiseDecorator(ACTION_NAME.RATE)).toBeUndefined()
+        expect(bridge.pendingRequests).toEqual([])
+
+        const second = bridge._createPromiseDecorator(ACTION_NAME.RATE).promise
+        const settled = vi.fn()
+        second.then(settled)
+
+        bridge._resolvePromiseDecorator(ACTION_NAME.RATE, 'late')
+        await Promise.resolve()
+        expect(settled).not.toHaveBeenCalled()
+
+        bridge._resolvePromiseDecorator(ACTION_NAME.RATE, 'rated')
+        await expect(second).resolves.toBe('rated')
+    })
+
+    it('cancels pending requests on destroy', async () => {
+        const { promise } = startRequest(bridge, ACTION_NAME.SHARE)
+        bridge.destroy()
+
+        await expect(promise).rejects.toMatchObject({ code: ERROR_CODE.ABORTED })
+    })
+})
+
+describe('PlatformBridgeBase._runWithCallOptions', () => {
+    let bridge
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        stubBrowser()
+        bridge = new PlatformBridgeBase()
+    })
+
+    afterEach(() => {
+        bridge.destroy()
+        vi.useRealTimers()
+        vi.unstubAllGlobals()
+    })
+
+    it('passes the call through without options', async () => {
+        const call = vi.fn(() => Promise.resolve('result'))
+
+        await expect(bridge._runWithCallOptions(ACTION_NAME.SHARE, undefined, call)).resolves.toBe('result')
+        expect(call).toHaveBeenCalledOnce()
+    })
+
+    it('rejects right away with an aborted signal', async () => {
+        const controller = new AbortController()
+        controller.abort()
+        const call = vi.fn()
+
+        await expect(bridge._runWithCallOptions(ACTION_NAME.SHARE, { signal: controller.signal }, call))
+            .rejects.toMatchObject({ code: ERROR_CODE.ABORTED, actionName: ACTION_NAME.SHARE })
+        expect(call).not.toHaveBeenCalled()
+    })
+
+    it('times out calls which create no request', async () => {
+        const promise = bridge._runWithCallOptions(ACTION_NAME.SHARE, { timeout: 50 }, () => new Promise(() => { }))
+        vi.advanceTimersByTime(50)
+
+        await expect(promise).rejects.toMatchObject({ code: ERROR_CODE.TIMEOUT })
+    })
+
+    it('ignores timeouts which are not positive numbers', async () => {
+        const promise = bridge._runWithCallOptions(ACTION_NAME.SHARE, { timeout: -1 }, () => Promise.resolve(1))
+
+        await expect(promise).resolves.toBe(1)
+    })
+
+    it('cancels the request created during the call when it times out', async () => {
+        let started
+        const promise = bridge._runWithCallOptions(ACTION_NAME.SHARE, { timeout: 50 }, () => {
+            started = startRequest(bridge, ACTION_NAME.SHARE)
+            return started.promise
+        })
+
+        expect(bridge.pendingRequests).toHaveLength(1)
+        vi.advanceTimersByTime(50)
+
+        await expect(promise).rejects.toMatchObject({ code: ERROR_CODE.TIMEOUT })
+        expect(bridge.pendingRequests).toEqual([])
+    })
+})
@@ -0,0 +1,53 @@
+import {
+    describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest'
+import PlayDeckPlatformBridge from '../../src/platform-bridges/PlayDeckPlatformBridge'
+import { STORAGE_TYPE } from '../../src/constants'
+import { stubBrowser } from '../environment'
+
+describe('PlayDeckPlatformBridge storage', () => {
+    let environment
+    let bridge
+
+    const reply = (key, value) => environment.window.dispatchEvent({
+        type: 'message',
+        data: { playdeck: { method: 'getData', key, value: { data: value } } },
+    })
+
+    beforeEach(() => {
+        environment = stubBrowser()
+        environment.window.parent.postMessage = vi.fn()
+        bridge = new PlayDeckPlatformBridge()
+    })
+
+    afterEach(() => {
+        bridge.destroy()
+        vi.unstubAllGlobals()
+    })
+
+    it('routes replies of concurrent reads to the call which asked for the key', async () => {
+        const first = bridge.getDataFromStorage('a', STORAGE_TYPE.PLATFORM_INTERNAL)
+        const second = bridge.getDataFromStorage('b', STORAGE_TYPE.PLATFORM_INTERNAL)
+
+        reply('b', 'value of b')
+        reply('a', 'value of a')
+
+        await expect(Promise.all([first, second])).resolves.toEqual(['value of a', 'value of b'])
+        expect(environment.window.listenerCount('message')).toBe(0)
+    })
+
+    it('waits for every key of a read of several keys', async () => {
+        const several = bridge.getDataFromStorage(['a', 'b'], STORAGE_TYPE.PLATFORM_INTERNAL)
+        const single = bridge.getDataFromStorage('c', STORAGE_TYPE.PLATFORM_INTERNAL)
+        const settled = vi.fn()
+        several.then(settled)
+
+        reply('a', '1')
+        reply('c', '3')
+        await expect(single).resolves.toBe('3')
+        expect(settled).not.toHaveBeenCalled()
+
+        reply('b', '2')
+        await expect(several).resolves.toEqual(['1', '2'])
+    })
+})
@@ -1,5 +1,8 @@
 import { defineConfig } from 'vite';
 
+// BUNDLE_ALL_PLATFORMS=true собирает все платформы в один файл, для порталов без доп. запросов
+const bundleAllPlatforms = process.env.BUNDLE_ALL_PLATFORMS === 'true';
+
 export default defineConfig({
   base: './',  // Это указывает Vite, что все пути должны быть относительно текущего каталога
   build: {
@@ -10,6 +13,7 @@ export default defineConfig({
         entryFileNames: `js/instant-games-bridge.js`,
         chunkFileNames: `js/[name].js`,
         assetFileNames: `assets/[name].[ext]`,
+        inlineDynamicImports: bundleAllPlatforms,
       }
     }
   }